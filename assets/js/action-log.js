@@ -0,0 +1,88 @@
+/**
+ * Action Log Module
+ * Remembers, on this device only, every letter the visitor has launched so
+ * volunteers can see which councils they have already contacted
+ */
+import { getStorageItem, setStorageItem, removeStorageItem } from './utils.js';
+
+const ACTION_LOG_STORAGE_KEY = 'sgar-action-log';
+
+export const ACTION_CHANNELS = {
+    mailto: 'Email',
+    form: 'Campaign form',
+    petition: 'Petition',
+    mock: 'Mock (development)',
+    bcc: 'Group email (BCC)'
+};
+
+export const ACTION_SOURCES = {
+    card: 'Council card',
+    list: 'Council list',
+    popup: 'Map popup',
+    details: 'Council details',
+    'council-page': 'Council page',
+    composer: 'Letter composer',
+    compare: 'Comparison',
+    bulk: 'Bulk letters'
+};
+
+export class ActionLog {
+    constructor() {
+        const stored = getStorageItem(ACTION_LOG_STORAGE_KEY, []);
+        this.entries = Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Record a launched action
+     * @param {Object} action - { council, lgaCode, template, subject, channel, source }
+     * @returns {Object} The stored entry, with its date
+     */
+    record({ council, lgaCode = null, template = null, subject = null, channel, source }) {
+        const entry = {
+            council,
+            lgaCode,
+            template,
+            subject,
+            channel,
+            source,
+            date: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    save() {
+        return setStorageItem(ACTION_LOG_STORAGE_KEY, this.entries);
+    }
+
+    clear() {
+        this.entries = [];
+        return removeStorageItem(ACTION_LOG_STORAGE_KEY);
+    }
+
+    /**
+     * All entries, newest first
+     * @returns {Array} Log entries
+     */
+    getEntries() {
+        return [...this.entries].sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    getCouncilEntries(councilName) {
+        return this.getEntries().filter(entry => entry.council === councilName);
+    }
+
+    getLastContact(councilName) {
+        return this.getCouncilEntries(councilName)[0] || null;
+    }
+
+    hasContacted(councilName) {
+        return this.entries.some(entry => entry.council === councilName);
+    }
+
+    getContactedCouncilNames() {
+        return new Set(this.entries.map(entry => entry.council));
+    }
+}
@@ -0,0 +1,493 @@
+/**
+ * Admin Page Module
+ * Maintainer console at #/admin for editing councils.json with live
+ * validation, a diff against the loaded data and an export ready to commit
+ */
+import {
+    validateCouncilData,
+    validateStatusHistory,
+    validateSources,
+    validateProducts,
+    isValidLGACode,
+    isValidPartialDate,
+    isValidEmail,
+    getCurrentStatus,
+    formatCouncilStatus,
+    titleCase,
+    escapeHtml,
+    diffLines,
+    downloadFile,
+    pluralize
+} from './utils.js';
+
+// Array fields edited as JSON below the table; the rest are edited inline
+const JSON_FIELDS = ['history', 'sources', 'products'];
+
+// Unchanged lines kept around each change in the diff
+const DIFF_CONTEXT_LINES = 2;
+
+export class AdminPage {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('admin-page');
+        this.defaultTitle = document.title;
+        this.original = null;
+        this.draft = null;
+        this.jsonText = new Map();
+        this.parseErrors = new Map();
+        this.query = '';
+        this.view = 'all';
+        this.selectedKey = null;
+
+        // Table and editor fields are re-rendered, so listen once on the page
+        if (this.container) {
+            this.container.addEventListener('input', (e) => {
+                const key = e.target.dataset.key;
+                if (!key) return;
+
+                if (e.target.dataset.field) {
+                    this.updateField(key, e.target.dataset.field, e.target.value);
+                } else if (e.target.dataset.jsonField) {
+                    this.updateJsonField(key, e.target.dataset.jsonField, e.target.value);
+                }
+            });
+        }
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.hasChanges()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    async show() {
+        if (!this.container) return;
+
+        if (this.app.selectedCouncil) {
+            this.app.closeCouncilDetailsModal();
+        }
+
+        // Edits survive leaving and coming back to the page; only the first visit loads the data
+        if (!this.draft) {
+            const data = await window.councilDataPromise;
+            this.original = JSON.parse(JSON.stringify(data || {}));
+            this.draft = JSON.parse(JSON.stringify(data || {}));
+        }
+
+        this.render();
+        this.container.hidden = false;
+        document.body.classList.add('admin-page-active');
+        document.title = `Data Console - ${this.defaultTitle}`;
+        window.scrollTo(0, 0);
+    }
+
+    hide() {
+        if (!this.container || this.container.hidden) return;
+
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        document.body.classList.remove('admin-page-active');
+        document.title = this.defaultTitle;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <nav class="council-page-nav">
+                <a href="#/" class="council-page-back">← All councils</a>
+            </nav>
+            <article class="council-page-article admin-page-article">
+                <header class="council-page-header">
+                    <h1 class="council-page-title">Council data console</h1>
+                    <p class="council-page-summary">
+                        Edit <code>data/councils.json</code> with every field checked as you type. Changes stay in
+                        this tab until you export them; replace the file with the export and commit it.
+                    </p>
+                    <div class="admin-summary" id="admin-summary">${this.renderSummary()}</div>
+                    <div class="admin-toolbar">
+                        <input type="search" class="compose-input" id="admin-search" placeholder="Find a council"
+                               aria-label="Find a council" value="${escapeHtml(this.query)}">
+                        <select class="compose-input" id="admin-view" aria-label="Councils to show">
+                            <option value="all" ${this.view === 'all' ? 'selected' : ''}>All councils</option>
+                            <option value="errors" ${this.view === 'errors' ? 'selected' : ''}>With problems</option>
+                            <option value="changed" ${this.view === 'changed' ? 'selected' : ''}>Changed</option>
+                        </select>
+                        <button type="button" class="council-action-btn action-btn-success" onclick="adminPage.exportData()">
+                            📥 Export councils.json
+                        </button>
+                        <button type="button" class="compose-link-btn" onclick="adminPage.resetAll()">Discard all changes</button>
+                    </div>
+                </header>
+                <div class="progress-table-wrapper">
+                    <table class="progress-table admin-table">
+                        <thead>
+                            <tr>
+                                <th>Council</th><th>LGA code</th><th>Email</th><th>Phase out by</th>
+                                <th>Status</th><th>Notes</th><th>Problems</th><th><span class="sr-only">Edit</span></th>
+                            </tr>
+                        </thead>
+                        <tbody id="admin-rows">${this.renderRows()}</tbody>
+                    </table>
+                </div>
+                <div id="admin-editor">${this.renderEditor()}</div>
+                <div class="detail-section">
+                    <div class="detail-label">Changes</div>
+                    <div id="admin-diff">${this.renderDiff()}</div>
+                </div>
+            </article>
+        `;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.container.querySelector('#admin-search').addEventListener('input', (e) => {
+            this.query = e.target.value.trim().toUpperCase();
+            this.refreshRows();
+        });
+
+        this.container.querySelector('#admin-view').addEventListener('change', (e) => {
+            this.view = e.target.value;
+            this.refreshRows();
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Editing
+    // -------------------------------------------------------------------------
+
+    updateField(key, field, value) {
+        const council = this.draft[key];
+
+        // Optional fields are left out rather than saved empty
+        if (field === 'phaseOutBy' && !value.trim()) {
+            delete council.phaseOutBy;
+        } else {
+            council[field] = field === 'notes' ? value : value.trim();
+        }
+
+        this.refreshCouncil(key);
+    }
+
+    updateJsonField(key, field, text) {
+        const id = `${key}.${field}`;
+        this.jsonText.set(id, text);
+
+        try {
+            this.draft[key][field] = JSON.parse(text);
+            this.parseErrors.delete(id);
+        } catch (error) {
+            // Keep the last valid value until the text parses again
+            this.parseErrors.set(id, `${field} is not valid JSON: ${error.message}`);
+        }
+
+        this.refreshCouncil(key);
+    }
+
+    editCouncil(encodedKey) {
+        this.selectedKey = decodeURIComponent(encodedKey);
+        this.container.querySelector('#admin-editor').innerHTML = this.renderEditor();
+
+        const editor = this.container.querySelector('.admin-editor');
+        if (editor) editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    closeEditor() {
+        this.selectedKey = null;
+        this.container.querySelector('#admin-editor').innerHTML = '';
+    }
+
+    resetCouncil(encodedKey) {
+        const key = decodeURIComponent(encodedKey);
+        this.draft[key] = JSON.parse(JSON.stringify(this.original[key]));
+        JSON_FIELDS.forEach(field => {
+            this.jsonText.delete(`${key}.${field}`);
+            this.parseErrors.delete(`${key}.${field}`);
+        });
+        this.render();
+    }
+
+    resetAll() {
+        if (!this.hasChanges() || !window.confirm('Discard every change made in this console?')) return;
+
+        this.draft = JSON.parse(JSON.stringify(this.original));
+        this.jsonText.clear();
+        this.parseErrors.clear();
+        this.render();
+    }
+
+    // -------------------------------------------------------------------------
+    // Validation
+    // -------------------------------------------------------------------------
+
+    /**
+     * Every problem with a council: unparseable JSON, validateCouncilData
+     * errors and LGA codes shared with another council
+     * @param {string} key - Council key in councils.json
+     * @returns {Array} Error messages
+     */
+    getProblems(key) {
+        const problems = JSON_FIELDS
+            .map(field => this.parseErrors.get(`${key}.${field}`))
+            .filter(Boolean);
+
+        try {
+            problems.push(...validateCouncilData(this.draft[key]).errors);
+        } catch (error) {
+            problems.push(`Could not validate: ${error.message}`);
+        }
+
+        const duplicate = this.findSharedLGACode(key);
+        if (duplicate) {
+            problems.push(`lgaCode ${this.draft[key].lgaCode} is also used by ${titleCase(duplicate)}`);
+        }
+
+        return problems;
+    }
+
+    findSharedLGACode(key) {
+        const lgaCode = this.draft[key].lgaCode;
+        if (!lgaCode) return null;
+        return Object.keys(this.draft).find(other => other !== key && this.draft[other].lgaCode === lgaCode) || null;
+    }
+
+    /**
+     * Fields to highlight, checked one by one with the same rules as validateCouncilData
+     * @param {string} key - Council key in councils.json
+     * @returns {Set} Field names with a problem
+     */
+    getInvalidFields(key) {
+        const council = this.draft[key];
+        const invalid = new Set();
+        const check = (field, isValid) => {
+            try {
+                if (!isValid()) invalid.add(field);
+            } catch {
+                invalid.add(field);
+            }
+        };
+
+        check('lgaCode', () => isValidLGACode(council.lgaCode) && !this.findSharedLGACode(key));
+        check('email', () => !council.email || isValidEmail(council.email));
+        check('phaseOutBy', () => council.phaseOutBy === undefined
+            ? getCurrentStatus(council.history) !== 'Committed'
+            : isValidPartialDate(council.phaseOutBy));
+        check('history', () => validateStatusHistory(council.history).length === 0);
+        check('sources', () => validateSources(council.sources).length === 0);
+        check('products', () => validateProducts(council.products).length === 0);
+
+        JSON_FIELDS.forEach(field => {
+            if (this.parseErrors.has(`${key}.${field}`)) invalid.add(field);
+        });
+
+        return invalid;
+    }
+
+    isChanged(key) {
+        return JSON.stringify(this.draft[key]) !== JSON.stringify(this.original[key]);
+    }
+
+    hasChanges() {
+        return Boolean(this.draft) && Object.keys(this.draft).some(key => this.isChanged(key));
+    }
+
+    // -------------------------------------------------------------------------
+    // Rendering
+    // -------------------------------------------------------------------------
+
+    renderSummary() {
+        const keys = Object.keys(this.draft);
+        const withProblems = keys.filter(key => this.getProblems(key).length > 0).length;
+        const changed = keys.filter(key => this.isChanged(key)).length;
+
+        return `
+            <div class="progress-page-stat"><strong>${keys.length}</strong> councils</div>
+            <div class="progress-page-stat ${withProblems > 0 ? 'admin-stat-invalid' : ''}">
+                <strong>${withProblems}</strong> with problems
+            </div>
+            <div class="progress-page-stat"><strong>${changed}</strong> changed</div>
+        `;
+    }
+
+    getVisibleKeys() {
+        return Object.keys(this.draft)
+            .filter(key => !this.query || key.includes(this.query))
+            .filter(key => {
+                if (this.view === 'errors') return this.getProblems(key).length > 0;
+                if (this.view === 'changed') return this.isChanged(key);
+                return true;
+            });
+    }
+
+    renderRows() {
+        const keys = this.getVisibleKeys();
+        if (keys.length === 0) {
+            return '<tr><td colspan="8" class="council-neighbours-empty">No councils match.</td></tr>';
+        }
+
+        return keys.map(key => this.renderRow(key)).join('');
+    }
+
+    renderRow(key) {
+        const council = this.draft[key];
+        const invalid = this.getInvalidFields(key);
+        const problems = this.getProblems(key);
+        const statusInfo = formatCouncilStatus(getCurrentStatus(council.history));
+        const attrs = (field) => `data-key="${escapeHtml(key)}" data-field="${field}" aria-invalid="${invalid.has(field)}"`;
+
+        return `
+            <tr class="admin-row ${problems.length > 0 ? 'admin-row-invalid' : ''} ${this.isChanged(key) ? 'admin-row-changed' : ''}"
+                data-row="${escapeHtml(key)}">
+                <th scope="row">${titleCase(key)}</th>
+                <td><input type="text" class="compose-input admin-input" ${attrs('lgaCode')} value="${escapeHtml(council.lgaCode)}" size="6"></td>
+                <td><input type="text" class="compose-input admin-input" ${attrs('email')} value="${escapeHtml(council.email)}"></td>
+                <td><input type="text" class="compose-input admin-input" ${attrs('phaseOutBy')} value="${escapeHtml(council.phaseOutBy)}"
+                           placeholder="YYYY-MM" size="8"></td>
+                <td><span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span></td>
+                <td><textarea class="compose-input admin-input" ${attrs('notes')} rows="2">${escapeHtml(council.notes)}</textarea></td>
+                <td class="admin-problems">${this.renderProblems(problems)}</td>
+                <td>
+                    <button type="button" class="compose-link-btn ${JSON_FIELDS.some(field => invalid.has(field)) ? 'admin-link-invalid' : ''}"
+                            onclick="adminPage.editCouncil('${encodeURIComponent(key)}')">
+                        History, sources &amp; products
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    renderProblems(problems) {
+        if (problems.length === 0) {
+            return '<span class="admin-ok">✓</span>';
+        }
+
+        return `
+            <details class="admin-problem-list">
+                <summary>⚠️ ${pluralize(problems.length, 'problem')}</summary>
+                <ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+            </details>
+        `;
+    }
+
+    renderEditor() {
+        const key = this.selectedKey;
+        if (!key || !this.draft[key]) return '';
+
+        const invalid = this.getInvalidFields(key);
+        const fields = JSON_FIELDS.map(field => {
+            const text = this.jsonText.has(`${key}.${field}`)
+                ? this.jsonText.get(`${key}.${field}`)
+                : JSON.stringify(this.draft[key][field], null, 4);
+
+            return `
+                <div class="admin-json-field">
+                    <label class="compose-label" for="admin-${field}">${titleCase(field)}</label>
+                    <textarea class="compose-input admin-json" id="admin-${field}" rows="12" spellcheck="false"
+                              data-key="${escapeHtml(key)}" data-json-field="${field}" aria-invalid="${invalid.has(field)}">${escapeHtml(text)}</textarea>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <section class="detail-section admin-editor" aria-labelledby="admin-editor-title">
+                <div class="admin-editor-header">
+                    <h2 class="compose-section-title" id="admin-editor-title">${titleCase(key)}: history, sources and products</h2>
+                    <button type="button" class="compose-link-btn" onclick="adminPage.resetCouncil('${encodeURIComponent(key)}')">Undo changes to this council</button>
+                    <button type="button" class="compose-link-btn" onclick="adminPage.closeEditor()">Close</button>
+                </div>
+                <div class="admin-json-fields">${fields}</div>
+                <div class="admin-editor-problems">${this.renderProblems(this.getProblems(key))}</div>
+            </section>
+        `;
+    }
+
+    renderDiff() {
+        const changed = Object.keys(this.draft).filter(key => this.isChanged(key));
+        if (changed.length === 0) {
+            return '<p class="council-neighbours-empty">No changes yet.</p>';
+        }
+
+        return changed.map(key => {
+            const lines = diffLines(
+                JSON.stringify(this.original[key], null, 4),
+                JSON.stringify(this.draft[key], null, 4)
+            );
+            const markers = { same: ' ', added: '+', removed: '-' };
+
+            // Keep changed lines and a little context around them
+            const keep = lines.map((line, index) => lines
+                .slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1)
+                .some(nearby => nearby.type !== 'same'));
+
+            const output = lines.map((line, index) => {
+                if (!keep[index]) return index > 0 && keep[index - 1] ? '<span class="admin-diff-gap">…</span>' : null;
+                return `<span class="admin-diff-${line.type}">${markers[line.type]} ${escapeHtml(line.line)}</span>`;
+            }).filter(line => line !== null);
+
+            return `
+                <div class="admin-diff">
+                    <div class="admin-diff-title">${titleCase(key)}</div>
+                    <pre class="admin-diff-body">${output.join('\n')}</pre>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update one council's row, its editor and the totals without
+     * re-rendering the field being typed in
+     * @param {string} key - Council key in councils.json
+     */
+    refreshCouncil(key) {
+        const row = [...this.container.querySelectorAll('[data-row]')].find(r => r.dataset.row === key);
+        if (row) {
+            const invalid = this.getInvalidFields(key);
+            const problems = this.getProblems(key);
+
+            row.classList.toggle('admin-row-invalid', problems.length > 0);
+            row.classList.toggle('admin-row-changed', this.isChanged(key));
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.setAttribute('aria-invalid', String(invalid.has(input.dataset.field)));
+            });
+            row.querySelector('.admin-problems').innerHTML = this.renderProblems(problems);
+
+            const statusInfo = formatCouncilStatus(getCurrentStatus(this.draft[key].history));
+            row.querySelector('.council-status').outerHTML =
+                `<span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>`;
+        }
+
+        if (key === this.selectedKey) {
+            const invalid = this.getInvalidFields(key);
+            this.container.querySelectorAll('[data-json-field]').forEach(textarea => {
+                textarea.setAttribute('aria-invalid', String(invalid.has(textarea.dataset.jsonField)));
+            });
+            this.container.querySelector('.admin-editor-problems').innerHTML = this.renderProblems(this.getProblems(key));
+        }
+
+        this.container.querySelector('#admin-summary').innerHTML = this.renderSummary();
+        this.container.querySelector('#admin-diff').innerHTML = this.renderDiff();
+    }
+
+    refreshRows() {
+        this.container.querySelector('#admin-rows').innerHTML = this.renderRows();
+    }
+
+    // -------------------------------------------------------------------------
+    // Export
+    // -------------------------------------------------------------------------
+
+    exportData() {
+        const withProblems = Object.keys(this.draft).filter(key => this.getProblems(key).length > 0);
+        if (withProblems.length > 0) {
+            this.app.showToast(`Fix the problems in ${pluralize(withProblems.length, 'council')} before exporting`, 'error');
+            this.view = 'errors';
+            this.render();
+            return;
+        }
+
+        // Same layout as the committed file, so the diff only shows real changes
+        downloadFile(JSON.stringify(this.draft, null, 4), 'councils.json', 'application/json');
+        this.app.showToast('Replace data/councils.json with the downloaded file and commit it', 'success', 8000);
+        console.log(`🛠️ Exported councils.json with ${Object.keys(this.draft).filter(key => this.isChanged(key)).length} changed councils`);
+    }
+}
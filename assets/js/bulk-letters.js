@@ -0,0 +1,324 @@
+/**
+ * Bulk Letters Module
+ * Writes to every council in the current filter: step through personalised
+ * letters one at a time, send one BCC email per status, or export a mail-merge CSV
+ */
+import {
+    formatCouncilStatus,
+    groupCouncilsByStatus,
+    isValidEmail,
+    escapeHtml,
+    createCSV,
+    downloadFile,
+    debounce,
+    logError,
+    CONSTANTS
+} from './utils.js';
+
+// Some mail apps truncate or refuse mailto links beyond roughly this length
+const MAILTO_LENGTH_WARNING = 2000;
+
+export class BulkLetterWriter {
+    constructor(app, campaign = null) {
+        this.app = app;
+        this.campaign = campaign;
+        this.modal = document.getElementById('bulkLettersModal');
+        this.container = document.getElementById('bulkLettersContainer');
+        this.councils = [];
+        this.withoutEmail = [];
+        this.stepIndex = 0;
+        this.sent = new Set();
+
+        this.saveProfile = debounce(() => {
+            this.app.saveSenderProfile({ ...this.app.getSenderProfile(), ...this.readProfile() });
+        }, 400);
+
+        this.setupModalControls();
+    }
+
+    setupModalControls() {
+        if (!this.modal) return;
+
+        const closeBtn = this.modal.querySelector('.modal-close-button');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.modal && this.modal.style.display === 'block');
+    }
+
+    open() {
+        if (!this.modal || !this.container) return;
+
+        const filtered = this.app.getFilteredCouncils();
+        this.councils = filtered.filter(council => isValidEmail(council.contactEmail || ''));
+        this.withoutEmail = filtered.filter(council => !isValidEmail(council.contactEmail || ''));
+        this.stepIndex = 0;
+        this.sent = new Set();
+
+        if (this.councils.length === 0) {
+            this.app.showToast('No councils with an email address match your current filters', 'warning');
+            return;
+        }
+
+        this.renderOverview();
+        this.modal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.style.display = 'none';
+        this.container.innerHTML = '';
+        document.body.style.overflow = 'auto';
+    }
+
+    /**
+     * Sender details for letters to several councils. The ratepayer line only
+     * makes sense for the sender's own council, so it is always left out.
+     */
+    getSender() {
+        return { ...this.app.getSenderProfile(), isRatepayer: false };
+    }
+
+    readProfile() {
+        const value = (id) => {
+            const field = this.container.querySelector(id);
+            return field ? field.value.trim() : '';
+        };
+
+        return {
+            name: value('#bulk-name'),
+            suburb: value('#bulk-suburb'),
+            note: value('#bulk-note')
+        };
+    }
+
+    getStatusGroups() {
+        const groups = groupCouncilsByStatus(this.councils);
+        return CONSTANTS.SGAR_STATUSES
+            .filter(status => groups[status])
+            .map(status => ({ status, councils: groups[status] }));
+    }
+
+    renderOverview() {
+        const profile = this.app.getSenderProfile();
+        const groups = this.getStatusGroups();
+
+        const bccButtons = groups.map(({ status, councils }) => {
+            const statusInfo = formatCouncilStatus(status);
+            return `
+                <button type="button" class="council-action-btn action-btn-secondary bulk-bcc-btn" onclick="bulkLetters.openBccEmail('${status}')">
+                    ${statusInfo.icon} ${councils.length} ${statusInfo.text}
+                </button>
+            `;
+        }).join('');
+
+        const skippedNote = this.withoutEmail.length > 0 ? `
+            <p class="compose-hint">
+                ${this.withoutEmail.length} matching ${this.withoutEmail.length === 1 ? 'council has' : 'councils have'}
+                no email address and ${this.withoutEmail.length === 1 ? 'is' : 'are'} left out:
+                ${this.withoutEmail.map(council => council.name).join(', ')}.
+            </p>
+        ` : '';
+
+        this.container.innerHTML = `
+            <div class="compose-header">
+                <h2 class="compose-title" id="bulk-letters-title">Write to ${this.councils.length} ${this.councils.length === 1 ? 'council' : 'councils'}</h2>
+                <p class="compose-recipient">Everyone matching your current filters gets a letter written for their status.</p>
+                ${skippedNote}
+            </div>
+            <div class="compose-layout">
+                <form class="compose-profile" id="bulk-profile" onsubmit="return false;">
+                    <h3 class="compose-section-title">Sign your letters <span class="compose-optional">(optional)</span></h3>
+                    <label class="compose-label" for="bulk-name">Your name</label>
+                    <input type="text" class="compose-input" id="bulk-name" autocomplete="name" value="${escapeHtml(profile.name)}">
+
+                    <label class="compose-label" for="bulk-suburb">Your suburb</label>
+                    <input type="text" class="compose-input" id="bulk-suburb" autocomplete="address-level2" value="${escapeHtml(profile.suburb)}">
+
+                    <label class="compose-label" for="bulk-note">Why this matters to you</label>
+                    <textarea class="compose-input" id="bulk-note" rows="3" maxlength="400">${escapeHtml(profile.note)}</textarea>
+                </form>
+
+                <div class="bulk-options">
+                    <div class="bulk-option">
+                        <h3 class="compose-section-title">One at a time</h3>
+                        <p class="compose-hint">Review, edit and send each council's own letter in turn.</p>
+                        <button type="button" class="council-action-btn action-btn-success" onclick="bulkLetters.startStepThrough()">
+                            ▶️ Start with ${this.councils[0].name}
+                        </button>
+                    </div>
+                    <div class="bulk-option">
+                        <h3 class="compose-section-title">One email per status (BCC)</h3>
+                        <p class="compose-hint">Opens your mail app with every council in the group in BCC and one shared letter.</p>
+                        <div class="bulk-bcc-buttons">${bccButtons}</div>
+                    </div>
+                    <div class="bulk-option">
+                        <h3 class="compose-section-title">Mail-merge CSV</h3>
+                        <p class="compose-hint">Name, email, subject and body for every council, ready for your mail tool.</p>
+                        <button type="button" class="council-action-btn action-btn-secondary" onclick="bulkLetters.downloadMailMerge()">
+                            📥 Download CSV
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#bulk-profile').addEventListener('input', () => this.saveProfile());
+    }
+
+    openBccEmail(status) {
+        const group = this.getStatusGroups().find(g => g.status === status);
+        if (!group) return;
+
+        const letter = this.app.getGroupLetter(status, group.councils, this.getSender());
+        if (!letter) {
+            this.app.showToast('Letter templates are unavailable - try the CSV instead', 'error');
+            return;
+        }
+
+        const bcc = group.councils.map(council => council.contactEmail).join(',');
+        const mailtoLink = `mailto:?bcc=${encodeURIComponent(bcc)}&subject=${encodeURIComponent(letter.subject)}&body=${encodeURIComponent(letter.body)}`;
+
+        if (mailtoLink.length > MAILTO_LENGTH_WARNING) {
+            this.app.showToast('This email is long - if your mail app cuts it short, use the CSV or send one at a time', 'warning');
+        }
+
+        window.location.href = mailtoLink;
+        group.councils.forEach(council => {
+            this.app.recordAction(council, { channel: 'bcc', source: 'bulk', subject: letter.subject, offerFollowUp: false });
+        });
+        this.offerSessionReminders();
+    }
+
+    downloadMailMerge() {
+        const sender = this.getSender();
+        const rows = this.councils.map(council => {
+            const letter = this.app.getLetter(council, sender) || { subject: '', body: '' };
+            return [council.name, council.contactEmail, letter.subject, letter.body];
+        });
+
+        const csvContent = createCSV(['name', 'email', 'subject', 'body'], rows);
+        const filename = `sgar_council_letters_${new Date().toISOString().split('T')[0]}.csv`;
+        downloadFile(csvContent, filename, 'text/csv');
+
+        this.app.showToast(`${rows.length} letters exported for mail merge`, 'success');
+    }
+
+    startStepThrough() {
+        this.stepIndex = 0;
+        this.renderStep();
+    }
+
+    renderStep() {
+        const council = this.councils[this.stepIndex];
+        const letter = this.app.getLetter(council, this.getSender()) || { subject: '', body: '' };
+        const provider = this.getStepProvider(council);
+        const isLast = this.stepIndex === this.councils.length - 1;
+
+        this.container.innerHTML = `
+            <div class="compose-header">
+                <p class="bulk-progress">Letter ${this.stepIndex + 1} of ${this.councils.length} · ${this.sent.size} sent</p>
+                <h2 class="compose-title" id="bulk-letters-title">Write to ${council.name} Council</h2>
+                <p class="compose-recipient">To: ${council.contactEmail}</p>
+            </div>
+            <div class="compose-letter bulk-step">
+                <label class="compose-label" for="bulk-subject">Subject</label>
+                <input type="text" class="compose-input" id="bulk-subject" value="${escapeHtml(letter.subject)}">
+
+                <label class="compose-label" for="bulk-body">Preview and edit</label>
+                <textarea class="compose-input compose-body" id="bulk-body" rows="14">${escapeHtml(letter.body)}</textarea>
+
+                <div class="compose-actions">
+                    <button type="button" class="council-action-btn action-btn-success" id="bulk-send" onclick="bulkLetters.sendStep()">
+                        ${this.sent.has(council.name) ? '✅ Sent - send again' : provider.submitLabel}
+                    </button>
+                    <button type="button" class="council-action-btn action-btn-secondary" onclick="bulkLetters.goToStep(${this.stepIndex + 1})">
+                        ${isLast ? 'Finish' : 'Skip →'}
+                    </button>
+                    <button type="button" class="compose-link-btn" onclick="bulkLetters.goToStep(${this.stepIndex - 1})" ${this.stepIndex === 0 ? 'disabled' : ''}>
+                        ← Previous
+                    </button>
+                    <button type="button" class="compose-link-btn" onclick="bulkLetters.renderOverview()">
+                        Back to options
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Embedded petitions can't step through letters, so they fall back to mailto
+    getStepProvider(council) {
+        if (!this.campaign) return { submitLabel: '📧 Open in mail app', submit: null };
+
+        const provider = this.campaign.getProvider(council);
+        return provider.embeds ? this.campaign.fallback : provider;
+    }
+
+    async sendStep() {
+        const council = this.councils[this.stepIndex];
+        const provider = this.getStepProvider(council);
+        const letter = {
+            to: council.contactEmail,
+            subject: this.container.querySelector('#bulk-subject').value,
+            body: this.container.querySelector('#bulk-body').value
+        };
+
+        const sendButton = this.container.querySelector('#bulk-send');
+        if (sendButton) sendButton.disabled = true;
+
+        try {
+            if (provider.submit) {
+                await provider.submit(letter, { council, profile: this.getSender() });
+            } else {
+                window.location.href = `mailto:${letter.to}?subject=${encodeURIComponent(letter.subject)}&body=${encodeURIComponent(letter.body)}`;
+            }
+
+            this.sent.add(council.name);
+            this.app.recordAction(council, {
+                channel: provider.id || 'mailto',
+                source: 'bulk',
+                subject: letter.subject,
+                offerFollowUp: false
+            });
+            this.goToStep(this.stepIndex + 1);
+        } catch (error) {
+            logError(error, 'BulkLetterWriter.sendStep', { council: council.name });
+            this.app.showToast(`The letter to ${council.name} could not be sent`, 'error');
+            if (sendButton) sendButton.disabled = false;
+        }
+    }
+
+    // One reminder file for the whole session rather than a prompt per letter
+    offerSessionReminders() {
+        if (this.app.followUps) {
+            this.app.followUps.offerSessionReminders();
+        }
+    }
+
+    goToStep(index) {
+        if (index < 0) return;
+
+        if (index >= this.councils.length) {
+            this.app.showToast(`Done - ${this.sent.size} of ${this.councils.length} letters sent`, 'success');
+            if (this.sent.size > 0) this.offerSessionReminders();
+            this.renderOverview();
+            return;
+        }
+
+        this.stepIndex = index;
+        this.renderStep();
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Campaign Providers Module
+ * Decides what "Take Action" does: open the visitor's mail app, post the letter
+ * to a campaign form, embed a petition, or (for development) record it locally.
+ * The provider and its per-status URLs come from data/campaign-config.json.
+ */
+import {
+    renderTemplate,
+    slugify,
+    parseURLParams,
+    createError,
+    logError
+} from './utils.js';
+
+const CONFIG_URL = './data/campaign-config.json';
+const DEFAULT_PROVIDER = 'mailto';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]', ''];
+
+function isLocalHost() {
+    return LOCAL_HOSTNAMES.includes(window.location.hostname);
+}
+
+/**
+ * Base provider. Subclasses either submit a composed letter or embed a page.
+ */
+export class CampaignProvider {
+    constructor(id, config = {}) {
+        this.id = id;
+        this.config = config;
+    }
+
+    get label() {
+        return this.config.label || this.id;
+    }
+
+    get submitLabel() {
+        return '📨 Send letter';
+    }
+
+    get embeds() {
+        return false;
+    }
+
+    /**
+     * Resolve the URL for a council from the status-keyed "urls" config.
+     * URLs may use {{councilName}}, {{councilSlug}}, {{lgaCode}} and {{status}}.
+     * @param {Object} council - Council being contacted
+     * @returns {string} URL, or '' when none is configured
+     */
+    getUrl(council) {
+        const urls = this.config.urls || {};
+        const template = urls[council.status] || urls.default || '';
+
+        return renderTemplate(template, {
+            councilName: encodeURIComponent(council.name),
+            councilSlug: slugify(council.name),
+            lgaCode: council.lgaCode || '',
+            status: council.status
+        });
+    }
+
+    isConfigured(council) {
+        return Boolean(this.getUrl(council));
+    }
+
+    async submit() {
+        throw createError(`Provider "${this.id}" cannot send letters`, 'PROVIDER_NOT_SUPPORTED');
+    }
+}
+
+/**
+ * Opens the composed letter in the visitor's own mail app
+ */
+export class MailtoProvider extends CampaignProvider {
+    get submitLabel() {
+        return '📧 Open in mail app';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async submit(letter) {
+        window.location.href = `mailto:${letter.to}?subject=${encodeURIComponent(letter.subject)}&body=${encodeURIComponent(letter.body)}`;
+        return { status: 'opened' };
+    }
+}
+
+/**
+ * Posts the composed letter to a campaign tool as an ordinary HTML form
+ */
+export class FormPostProvider extends CampaignProvider {
+    async submit(letter, { council, profile }) {
+        const fieldNames = {
+            council: 'council',
+            lgaCode: 'lga_code',
+            to: 'council_email',
+            subject: 'subject',
+            body: 'body',
+            senderName: 'name',
+            senderSuburb: 'suburb',
+            senderIsRatepayer: 'ratepayer',
+            ...(this.config.fieldNames || {})
+        };
+
+        const values = {
+            council: council.name,
+            lgaCode: council.lgaCode || '',
+            to: letter.to,
+            subject: letter.subject,
+            body: letter.body,
+            senderName: profile.name || '',
+            senderSuburb: profile.suburb || '',
+            senderIsRatepayer: profile.isRatepayer ? 'yes' : 'no'
+        };
+
+        const form = document.createElement('form');
+        form.method = this.config.method || 'POST';
+        form.action = this.getUrl(council);
+        form.target = this.config.target || '_blank';
+        form.style.display = 'none';
+
+        Object.entries(fieldNames).forEach(([key, fieldName]) => {
+            if (!fieldName) return;
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = fieldName;
+            input.value = values[key];
+            form.appendChild(input);
+        });
+
+        document.body.appendChild(form);
+        form.submit();
+        document.body.removeChild(form);
+
+        return { status: 'submitted' };
+    }
+}
+
+/**
+ * Embeds a hosted petition or action page for the council's status
+ */
+export class PetitionEmbedProvider extends CampaignProvider {
+    get embeds() {
+        return true;
+    }
+
+    get confirmLabel() {
+        return this.config.confirmLabel || '✅ I\'ve signed it';
+    }
+
+    renderEmbed(council) {
+        const height = this.config.height || 600;
+
+        return `
+            <iframe
+                src="${this.getUrl(council)}"
+                class="campaign-embed"
+                style="width: 100%; height: ${height}px; border: none;"
+                title="${this.config.title || 'Take Action Form'}"
+                loading="lazy"
+            ></iframe>
+        `;
+    }
+}
+
+/**
+ * Development provider that records submissions instead of sending them
+ */
+export class MockCampaignProvider extends CampaignProvider {
+    constructor(id, config = {}) {
+        super(id, config);
+        this.submissions = [];
+    }
+
+    get submitLabel() {
+        return '🧪 Send (mock)';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async submit(letter, { council, profile }) {
+        await new Promise(resolve => setTimeout(resolve, this.config.delay || 0));
+
+        const submission = {
+            council: council.name,
+            letter,
+            profile,
+            submittedAt: new Date().toISOString()
+        };
+        this.submissions.push(submission);
+        console.log('🧪 Mock campaign submission:', submission);
+
+        return { status: 'mock', submission };
+    }
+}
+
+export const CAMPAIGN_PROVIDERS = {
+    mailto: MailtoProvider,
+    form: FormPostProvider,
+    petition: PetitionEmbedProvider,
+    mock: MockCampaignProvider
+};
+
+/**
+ * Loads the campaign config and hands out the provider for each council
+ */
+export class CampaignManager {
+    constructor() {
+        this.config = null;
+        this.provider = null;
+        this.fallback = new MailtoProvider('mailto');
+    }
+
+    async init() {
+        try {
+            const response = await fetch(CONFIG_URL);
+            if (!response.ok) {
+                throw new Error(`Failed to load campaign config: ${response.status}`);
+            }
+            this.config = await response.json();
+        } catch (error) {
+            logError(error, 'CampaignManager.init');
+            this.config = { provider: DEFAULT_PROVIDER, providers: {} };
+        }
+
+        this.provider = this.createProvider(this.getSelectedProviderId());
+        console.log(`📣 Campaign provider: ${this.provider.id}`);
+    }
+
+    getSelectedProviderId() {
+        // ?campaignProvider=mock lets developers switch providers without editing the
+        // config. Only honoured on a local server, so a shared link can't fake a send.
+        const override = parseURLParams().campaignProvider;
+        if (override && this.config.allowUrlOverride && isLocalHost() && CAMPAIGN_PROVIDERS[override]) {
+            return override;
+        }
+
+        return CAMPAIGN_PROVIDERS[this.config.provider] ? this.config.provider : DEFAULT_PROVIDER;
+    }
+
+    createProvider(id) {
+        const ProviderClass = CAMPAIGN_PROVIDERS[id];
+        const providerConfig = (this.config.providers && this.config.providers[id]) || {};
+        return new ProviderClass(id, providerConfig);
+    }
+
+    /**
+     * Provider to use for a council. Falls back to mailto when the configured
+     * provider has no URL for the council's status.
+     * @param {Object} council - Council being contacted
+     * @returns {CampaignProvider} Provider instance
+     */
+    getProvider(council) {
+        if (this.provider && this.provider.isConfigured(council)) {
+            return this.provider;
+        }
+
+        if (this.provider) {
+            console.warn(`Campaign provider "${this.provider.id}" has no URL for status "${council.status}", using mailto`);
+        }
+        return this.fallback;
+    }
+}
@@ -0,0 +1,344 @@
+/**
+ * Compare Page Module
+ * Side-by-side comparison of two to four councils at #/compare/<slug>+<slug>
+ */
+import {
+    formatCouncilStatus,
+    formatPartialDate,
+    formatRecentDate,
+    getResponseDays,
+    formatList,
+    pluralize,
+    escapeHtml,
+    slugify,
+    logError
+} from './utils.js';
+
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 4;
+
+export class ComparePage {
+    constructor(app, mapController, responseLog = null) {
+        this.app = app;
+        this.mapController = mapController;
+        this.responseLog = responseLog;
+        this.container = document.getElementById('compare-page');
+        this.miniMap = null;
+        this.councils = [];
+        this.missingSlugs = [];
+        this.defaultTitle = document.title;
+    }
+
+    /**
+     * Link to the comparison of the given councils
+     * @param {Array<string>} councilNames - Council names as shown in the app
+     * @returns {string} Hash path, e.g. #/compare/orange+bathurst-regional
+     */
+    static getPath(councilNames) {
+        return `#/compare/${councilNames.map(slugify).join('+')}`;
+    }
+
+    show(slugs) {
+        if (!this.container) return;
+
+        const requested = [...new Set(String(slugs || '').split('+').filter(Boolean))];
+        const councils = requested
+            .map(slug => this.app.councils.find(c => slugify(c.name) === slug))
+            .filter(Boolean)
+            .slice(0, COMPARE_MAX);
+        this.councils = councils;
+
+        // Say which parts of a shared link didn't match, rather than quietly comparing fewer
+        this.missingSlugs = requested.filter(slug => !this.app.councils.some(c => slugify(c.name) === slug));
+
+        if (this.app.selectedCouncil) {
+            this.app.closeCouncilDetailsModal();
+        }
+        if (this.mapController) {
+            this.mapController.closePopup();
+        }
+
+        // The comparison on screen is the one the compare buttons add to
+        this.app.setCompareSelection(councils.map(council => council.name));
+
+        this.destroyMiniMap();
+        this.container.innerHTML = councils.length >= COMPARE_MIN ? this.render(councils) : this.renderTooFew(councils);
+        this.container.hidden = false;
+        document.body.classList.add('compare-page-active');
+        document.title = councils.length >= COMPARE_MIN
+            ? `Compare ${formatList(councils.map(council => council.name))} - SGAR Status`
+            : this.defaultTitle;
+        window.scrollTo(0, 0);
+
+        if (councils.length >= COMPARE_MIN) {
+            this.renderMiniMap(councils);
+        }
+    }
+
+    hide() {
+        if (!this.container || this.container.hidden) return;
+
+        this.destroyMiniMap();
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        this.councils = [];
+        this.missingSlugs = [];
+        document.body.classList.remove('compare-page-active');
+        document.title = this.defaultTitle;
+
+        if (this.mapController) {
+            this.mapController.resize();
+        }
+    }
+
+    render(councils) {
+        const rows = [
+            ['SGAR Status', council => this.app.getStatusDescription(council.status)],
+            ['Phase-Out Commitment', council => council.phaseOutBy ? `By ${formatPartialDate(council.phaseOutBy)}` : '—'],
+            [this.app.getRegionTaxonomyLabel(), council => escapeHtml(council.region || 'Not specified')],
+            ['Products &amp; Active Ingredients', council => this.app.createProductsList(council.products)],
+            ['Last Status Change', council => formatPartialDate(council.lastUpdated) || 'Not specified'],
+            ['Status History', council => this.app.createStatusTimeline(council.history)],
+            ['Your Last Contact', council => this.renderLastContact(council)],
+            ['Response Time', council => this.renderResponseTime(council)],
+            ['Notes', council => escapeHtml(council.notes || '')]
+        ];
+
+        return `
+            <nav class="council-page-nav">
+                <a href="#/" class="council-page-back">← All councils</a>
+            </nav>
+            <article class="council-page-article compare-page-article">
+                <header class="council-page-header">
+                    <h1 class="council-page-title">Compare councils</h1>
+                    <p class="council-page-summary">${this.getSummary(councils)}</p>
+                    ${this.renderMissing()}
+                    <div class="council-page-actions">
+                        ${councils.length < COMPARE_MAX ? this.renderAddCouncil(councils) : ''}
+                        <button type="button" class="council-action-btn action-btn-secondary" onclick="comparePage.copyLink()">
+                            🔗 Copy link
+                        </button>
+                    </div>
+                </header>
+                <div class="detail-section">
+                    <div class="detail-label">Council Areas</div>
+                    <div id="compare-mini-map" class="council-mini-map compare-mini-map"
+                         aria-label="Map of ${escapeHtml(formatList(councils.map(council => council.name)))}"></div>
+                </div>
+                <div class="compare-table-wrapper">
+                    <table class="compare-table">
+                        <thead>
+                            <tr>
+                                <th scope="col" class="compare-row-label"><span class="sr-only">Council</span></th>
+                                ${councils.map(council => this.renderCouncilHeading(council, councils.length)).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(([label, renderCell]) => `
+                                <tr>
+                                    <th scope="row" class="compare-row-label">${label}</th>
+                                    ${councils.map(council => `<td>${renderCell(council)}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                            <tr>
+                                <th scope="row" class="compare-row-label">Take Action</th>
+                                ${councils.map(council => `
+                                    <td class="compare-actions">
+                                        ${this.app.createActionButton(council, 'compare')}
+                                        ${this.app.createComposeButton(council, 'compare')}
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </article>
+        `;
+    }
+
+    renderCouncilHeading(council, count) {
+        const statusInfo = formatCouncilStatus(council.status);
+        const others = this.councils.filter(other => other !== council).map(other => other.name);
+
+        return `
+            <th scope="col" class="compare-council ${statusInfo.class}">
+                <a href="#/council/${slugify(council.name)}" class="compare-council-name">${council.name}</a>
+                <span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
+                ${count > COMPARE_MIN ? `
+                    <a href="${ComparePage.getPath(others)}" class="compare-remove"
+                       aria-label="Remove ${council.name} from the comparison">Remove</a>
+                ` : ''}
+            </th>
+        `;
+    }
+
+    renderTooFew(councils) {
+        return `
+            <nav class="council-page-nav">
+                <a href="#/" class="council-page-back">← All councils</a>
+            </nav>
+            <article class="council-page-article council-page-not-found">
+                <h1 class="council-page-title">Pick councils to compare</h1>
+                ${this.renderMissing()}
+                <p>
+                    ${councils.length === 1 ? `Add another council to compare with ${councils[0].name}.` : 'We couldn\'t find the councils in this link.'}
+                    Use the ⚖️ Compare buttons on council cards, in the list or on the map to choose
+                    ${COMPARE_MIN} to ${COMPARE_MAX} councils.
+                </p>
+                ${councils.length === 1 ? `<div class="council-page-actions">${this.renderAddCouncil(councils)}</div>` : ''}
+            </article>
+        `;
+    }
+
+    renderMissing() {
+        if (this.missingSlugs.length === 0) return '';
+
+        const names = formatList(this.missingSlugs.map(slug => `"${escapeHtml(slug)}"`));
+        return `
+            <p class="compare-missing" role="status">
+                ⚠️ This link also asked for ${names}, which ${this.missingSlugs.length === 1 ? 'doesn\'t' : 'don\'t'}
+                match any council, so ${this.missingSlugs.length === 1 ? 'it is' : 'they are'} left out.
+            </p>
+        `;
+    }
+
+    renderAddCouncil(councils) {
+        const options = this.app.councils
+            .filter(council => !councils.includes(council))
+            .map(council => `<option value="${slugify(council.name)}">${council.name}</option>`)
+            .join('');
+
+        return `
+            <label class="compare-add">
+                <span class="sr-only">Add a council to the comparison</span>
+                <select onchange="comparePage.addCouncil(this.value)">
+                    <option value="">➕ Add a council…</option>
+                    ${options}
+                </select>
+            </label>
+        `;
+    }
+
+    // Lead with the contrast that makes the case, e.g. "Orange no longer uses SGARs"
+    getSummary(councils) {
+        const sgarFree = councils.filter(council => council.status === 'No').map(council => council.name);
+        const usingSgars = councils
+            .filter(council => formatCouncilStatus(council.status).usesSgars)
+            .map(council => council.name);
+
+        if (sgarFree.length > 0 && usingSgars.length > 0) {
+            return `${formatList(sgarFree)} ${sgarFree.length === 1 ? 'has' : 'have'} gone SGAR-free, while
+                ${formatList(usingSgars)} still ${usingSgars.length === 1 ? 'uses' : 'use'} SGARs.`;
+        }
+        return `Status, products, history and your own contact with ${formatList(councils.map(council => council.name))}, side by side.`;
+    }
+
+    renderLastContact(council) {
+        const lastContact = this.app.actionLog ? this.app.actionLog.getLastContact(council.name) : null;
+        return lastContact ? formatRecentDate(lastContact.date) : 'Not contacted from this device';
+    }
+
+    renderResponseTime(council) {
+        const contacts = this.app.actionLog ? this.app.actionLog.getCouncilEntries(council.name) : [];
+        const replies = this.responseLog ? this.responseLog.getCouncilEntries(council.name) : [];
+        if (contacts.length === 0) return '—';
+
+        const days = getResponseDays(contacts.map(entry => entry.date), replies.map(entry => entry.replyDate));
+        if (days === null) return 'No reply logged yet';
+        return days === 0 ? 'Replied the same day' : `Replied after ${pluralize(days, 'day')}`;
+    }
+
+    async renderMiniMap(councils) {
+        if (!this.mapController) return;
+
+        try {
+            await this.mapController.whenBoundariesLoaded();
+
+            // The visitor may have moved on while boundaries loaded
+            if (this.councils !== councils) return;
+            this.createMiniMap(councils);
+        } catch (error) {
+            logError(error, 'ComparePage.renderMiniMap');
+        }
+    }
+
+    createMiniMap(councils) {
+        const target = document.getElementById('compare-mini-map');
+        if (!target) return;
+
+        const features = councils
+            .map(council => {
+                const feature = this.mapController.getCouncilFeature(council.name);
+                if (!feature) return null;
+
+                const copy = new ol.Feature(feature.getGeometry().clone());
+                copy.setStyle(new ol.style.Style({
+                    fill: new ol.style.Fill({
+                        color: this.mapController.getStatusColors(council.status).fill
+                    }),
+                    stroke: new ol.style.Stroke({ color: '#2d5a27', width: 2 }),
+                    text: new ol.style.Text({
+                        text: council.name,
+                        font: '600 12px sans-serif',
+                        fill: new ol.style.Fill({ color: '#1f2937' }),
+                        stroke: new ol.style.Stroke({ color: '#ffffff', width: 3 }),
+                        overflow: true
+                    })
+                }));
+                return copy;
+            })
+            .filter(Boolean);
+
+        if (features.length === 0) return;
+
+        const source = new ol.source.Vector({ features });
+        this.miniMap = new ol.Map({
+            target,
+            interactions: new ol.Collection([
+                new ol.interaction.DragPan(),
+                new ol.interaction.PinchZoom(),
+                new ol.interaction.DoubleClickZoom()
+            ]),
+            layers: [
+                new ol.layer.Tile({
+                    source: new ol.source.OSM()
+                }),
+                new ol.layer.Vector({ source })
+            ],
+            controls: [
+                new ol.control.Zoom(),
+                new ol.control.Attribution({ collapsible: true })
+            ],
+            view: new ol.View()
+        });
+
+        this.miniMap.getView().fit(source.getExtent(), {
+            padding: [30, 30, 30, 30]
+        });
+    }
+
+    destroyMiniMap() {
+        if (this.miniMap) {
+            this.miniMap.setTarget(null);
+            this.miniMap = null;
+        }
+    }
+
+    addCouncil(slug) {
+        if (!slug) return;
+        const council = this.app.councils.find(c => slugify(c.name) === slug);
+        if (!council) return;
+
+        window.location.hash = ComparePage.getPath([...this.councils.map(c => c.name), council.name]);
+    }
+
+    async copyLink() {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.app.showToast('Link copied to clipboard', 'success');
+        } catch (error) {
+            logError(error, 'ComparePage.copyLink');
+            this.app.showToast('Copy the link from your address bar to share this comparison', 'info');
+        }
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Council Page Module
+ * Renders a bookmarkable full page for a single council at #/council/<slug>
+ */
+import { formatCouncilStatus, slugify, escapeHtml, logError } from './utils.js';
+import { ComparePage, COMPARE_MAX } from './compare-page.js';
+
+export class CouncilPage {
+    constructor(app, mapController) {
+        this.app = app;
+        this.mapController = mapController;
+        this.container = document.getElementById('council-page');
+        this.miniMap = null;
+        this.currentCouncil = null;
+        this.defaultTitle = document.title;
+    }
+
+    show(slug) {
+        if (!this.container) return;
+
+        const council = this.app.councils.find(c => slugify(c.name) === slug);
+        this.currentCouncil = council || null;
+
+        // Close overlays that belong to the main page
+        if (this.app.selectedCouncil) {
+            this.app.closeCouncilDetailsModal();
+        }
+        if (this.mapController) {
+            this.mapController.closePopup();
+        }
+
+        this.destroyMiniMap();
+        this.container.innerHTML = council ? this.render(council) : this.renderNotFound(slug);
+        this.container.hidden = false;
+        document.body.classList.add('council-page-active');
+        document.title = council ? `${council.name} Council - SGAR Status` : this.defaultTitle;
+        window.scrollTo(0, 0);
+
+        if (council) {
+            this.renderBoundaryDetails(council);
+        }
+    }
+
+    hide() {
+        if (!this.container || this.container.hidden) return;
+
+        this.destroyMiniMap();
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        this.currentCouncil = null;
+        document.body.classList.remove('council-page-active');
+        document.title = this.defaultTitle;
+
+        // The main map may have been laid out while hidden
+        if (this.mapController) {
+            this.mapController.resize();
+        }
+    }
+
+    render(council) {
+        const statusInfo = formatCouncilStatus(council.status);
+
+        return `
+            <nav class="council-page-nav">
+                <a href="#/" class="council-page-back">← All councils</a>
+            </nav>
+            <article class="council-page-article">
+                <header class="council-page-header ${statusInfo.class}">
+                    <h1 class="council-page-title">${council.name} Council</h1>
+                    <span class="council-status ${statusInfo.class}">
+                        ${statusInfo.icon} ${statusInfo.text}
+                    </span>
+                    ${this.app.createContactedBadge(council)}
+                    <p class="council-page-summary">${this.app.getStatusDescription(council.status)}</p>
+                    <div class="council-page-actions">
+                        ${this.app.createActionButton(council, 'council-page')}
+                        ${this.app.createComposeButton(council, 'council-page')}
+                        ${this.app.createReplyButton(council)}
+                        <button type="button" class="council-action-btn action-btn-secondary" onclick="councilPage.copyLink()">
+                            🔗 Copy link
+                        </button>
+                    </div>
+                </header>
+                <div class="council-page-layout">
+                    <div class="council-page-main council-details-body">
+                        ${this.app.createCouncilDetailSections(council)}
+                    </div>
+                    <aside class="council-page-aside">
+                        <div class="detail-section">
+                            <div class="detail-label">Council Area</div>
+                            <div id="council-mini-map" class="council-mini-map" aria-label="Map of ${council.name} Council area"></div>
+                        </div>
+                        <div class="detail-section">
+                            <div class="detail-label">Neighbouring Councils</div>
+                            <ul id="council-neighbours" class="council-neighbours">
+                                <li class="council-neighbours-empty">Loading council boundaries…</li>
+                            </ul>
+                        </div>
+                    </aside>
+                </div>
+            </article>
+        `;
+    }
+
+    renderNotFound(slug) {
+        return `
+            <nav class="council-page-nav">
+                <a href="#/" class="council-page-back">← All councils</a>
+            </nav>
+            <article class="council-page-article council-page-not-found">
+                <h1 class="council-page-title">Council not found</h1>
+                <p>We couldn't find a council matching "${escapeHtml(slug)}". It may have been renamed or merged.</p>
+            </article>
+        `;
+    }
+
+    async renderBoundaryDetails(council) {
+        if (!this.mapController) return;
+
+        try {
+            await this.mapController.whenBoundariesLoaded();
+            await this.mapController.whenAdjacencyLoaded();
+
+            // The visitor may have navigated away while boundaries loaded
+            if (this.currentCouncil !== council) return;
+
+            const neighbours = this.mapController.getNeighbouringCouncils(council);
+            this.renderNeighbours(neighbours);
+            this.createMiniMap(council, neighbours);
+        } catch (error) {
+            logError(error, 'CouncilPage.renderBoundaryDetails', { council: council.name });
+        }
+    }
+
+    renderNeighbours(neighbours) {
+        const list = document.getElementById('council-neighbours');
+        if (!list) return;
+
+        if (neighbours.length === 0) {
+            list.innerHTML = '<li class="council-neighbours-empty">No neighbouring councils found</li>';
+            return;
+        }
+
+        // "Your neighbour went SGAR-free" is the comparison that persuades,
+        // so SGAR-free neighbours make the cut first
+        const sgarFreeFirst = [...neighbours].sort((a, b) => (b.status === 'No') - (a.status === 'No'));
+        const compareNames = [this.currentCouncil, ...sgarFreeFirst]
+            .slice(0, COMPARE_MAX)
+            .map(council => council.name);
+
+        list.innerHTML = `
+            <li class="neighbour-summary">${this.app.formatNeighbourSummary(this.app.getNeighbourSummary(this.currentCouncil))}</li>
+        ` + neighbours.map(neighbour => {
+            const statusInfo = formatCouncilStatus(neighbour.status);
+            return `
+                <li>
+                    <a href="#/council/${slugify(neighbour.name)}" class="council-neighbour-link">
+                        <span class="council-neighbour-name">${neighbour.name}</span>
+                        <span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
+                    </a>
+                </li>
+            `;
+        }).join('') + `
+            <li class="council-neighbours-compare">
+                <a href="${ComparePage.getPath(compareNames)}" class="council-action-btn action-btn-secondary">
+                    ⚖️ Compare with neighbours
+                </a>
+            </li>
+        `;
+    }
+
+    createMiniMap(council, neighbours) {
+        const target = document.getElementById('council-mini-map');
+        const feature = this.mapController.getCouncilFeature(council.name);
+        if (!target || !feature) return;
+
+        const styleFor = (status, isSelected) => new ol.style.Style({
+            fill: new ol.style.Fill({
+                color: this.mapController.getStatusColors(status).fill
+            }),
+            stroke: new ol.style.Stroke({
+                color: isSelected ? '#2d5a27' : 'rgba(255, 255, 255, 0.9)',
+                width: isSelected ? 3 : 1
+            })
+        });
+
+        const features = neighbours
+            .map(neighbour => {
+                const neighbourFeature = this.mapController.getCouncilFeature(neighbour.name);
+                if (!neighbourFeature) return null;
+                const copy = new ol.Feature(neighbourFeature.getGeometry().clone());
+                copy.setStyle(styleFor(neighbour.status, false));
+                return copy;
+            })
+            .filter(Boolean);
+
+        const selected = new ol.Feature(feature.getGeometry().clone());
+        selected.setStyle(styleFor(council.status, true));
+        features.push(selected);
+
+        this.miniMap = new ol.Map({
+            target,
+            interactions: new ol.Collection([
+                new ol.interaction.DragPan(),
+                new ol.interaction.PinchZoom(),
+                new ol.interaction.DoubleClickZoom()
+            ]),
+            layers: [
+                new ol.layer.Tile({
+                    source: new ol.source.OSM()
+                }),
+                new ol.layer.Vector({
+                    source: new ol.source.Vector({ features })
+                })
+            ],
+            controls: [
+                new ol.control.Zoom(),
+                new ol.control.Attribution({ collapsible: true })
+            ],
+            view: new ol.View()
+        });
+
+        this.miniMap.getView().fit(selected.getGeometry().getExtent(), {
+            padding: [30, 30, 30, 30]
+        });
+    }
+
+    destroyMiniMap() {
+        if (this.miniMap) {
+            this.miniMap.setTarget(null);
+            this.miniMap = null;
+        }
+    }
+
+    async copyLink() {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.app.showToast('Link copied to clipboard', 'success');
+        } catch (error) {
+            logError(error, 'CouncilPage.copyLink');
+            this.app.showToast('Copy the link from your address bar to share this page', 'info');
+        }
+    }
+}
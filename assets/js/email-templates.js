@@ -0,0 +1,137 @@
+/**
+ * Email Templates Module
+ * Loads the editable letter templates from data/templates and renders them for a council
+ */
+import {
+    renderTemplate,
+    parseLetterTemplate,
+    getStorageItem,
+    setStorageItem,
+    logError
+} from './utils.js';
+
+const TEMPLATE_BASE_URL = './data/templates';
+const TONE_STORAGE_KEY = 'sgar-letter-tone';
+
+export class EmailTemplates {
+    constructor() {
+        this.tones = [];
+        this.letters = {};
+        this.followUp = null;
+        this.defaultTone = null;
+        this.tone = null;
+        this.templates = new Map();
+        this.loaded = false;
+    }
+
+    async init() {
+        try {
+            const response = await fetch(`${TEMPLATE_BASE_URL}/manifest.json`);
+            if (!response.ok) {
+                throw new Error(`Failed to load template manifest: ${response.status}`);
+            }
+            const manifest = await response.json();
+
+            this.tones = manifest.tones || [];
+            this.letters = manifest.letters || {};
+            this.followUp = manifest.followUp || null;
+            this.defaultTone = manifest.defaultTone || (this.tones[0] && this.tones[0].id);
+            this.tone = this.isKnownTone(getStorageItem(TONE_STORAGE_KEY))
+                ? getStorageItem(TONE_STORAGE_KEY)
+                : this.defaultTone;
+
+            await this.loadTemplates();
+            this.loaded = true;
+            console.log(`✉️ Loaded ${this.templates.size} letter templates (version ${manifest.version})`);
+        } catch (error) {
+            logError(error, 'EmailTemplates.init');
+            console.warn('Action buttons will open a blank email');
+        }
+    }
+
+    async loadTemplates() {
+        const letterIds = [...new Set([...Object.values(this.letters), this.followUp].filter(Boolean))];
+        const requests = letterIds.flatMap(letterId =>
+            this.tones.map(tone => this.loadTemplate(letterId, tone.id))
+        );
+
+        await Promise.all(requests);
+    }
+
+    async loadTemplate(letterId, toneId) {
+        const file = `${letterId}.${toneId}.txt`;
+
+        try {
+            const response = await fetch(`${TEMPLATE_BASE_URL}/${file}`);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${file}: ${response.status}`);
+            }
+            this.templates.set(`${letterId}.${toneId}`, parseLetterTemplate(await response.text()));
+        } catch (error) {
+            logError(error, 'EmailTemplates.loadTemplate', { file });
+        }
+    }
+
+    isKnownTone(toneId) {
+        return this.tones.some(tone => tone.id === toneId);
+    }
+
+    getTones() {
+        return this.tones;
+    }
+
+    getTone() {
+        return this.tone;
+    }
+
+    setTone(toneId) {
+        if (!this.isKnownTone(toneId)) return false;
+
+        this.tone = toneId;
+        setStorageItem(TONE_STORAGE_KEY, toneId);
+        return true;
+    }
+
+    /**
+     * Identify the template used for a status, e.g. "urge.formal"
+     * @param {string} status - Council status
+     * @param {string} toneId - Tone (default: the selected tone)
+     * @returns {string} Template id
+     */
+    getTemplateId(status, toneId = this.tone) {
+        return `${this.letters[status] || this.letters.Unknown}.${toneId}`;
+    }
+
+    /**
+     * Render the letter for a council status
+     * @param {string} status - Council status, e.g. 'Yes' or 'Committed'
+     * @param {Object} data - Placeholder values (see data/templates/README.md)
+     * @param {string} toneId - Tone to use (default: the selected tone)
+     * @returns {Object|null} { subject, body }, or null when no template is available
+     */
+    render(status, data, toneId = this.tone) {
+        return this.renderLetter(this.letters[status] || this.letters.Unknown, data, toneId);
+    }
+
+    /**
+     * Render the follow-up letter suggested in calendar reminders
+     * @param {Object} data - Placeholder values, including originalSubject and contactDate
+     * @param {string} toneId - Tone to use (default: the selected tone)
+     * @returns {Object|null} { subject, body }, or null when no template is available
+     */
+    renderFollowUp(data, toneId = this.tone) {
+        return this.followUp ? this.renderLetter(this.followUp, data, toneId) : null;
+    }
+
+    renderLetter(letterId, data, toneId = this.tone) {
+        const template = this.templates.get(`${letterId}.${toneId}`)
+            || this.templates.get(`${letterId}.${this.defaultTone}`);
+
+        if (!template) return null;
+
+        return {
+            subject: renderTemplate(template.subject, data),
+            body: renderTemplate(template.body, data)
+        };
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Follow-Up Reminders Module
+ * Turns logged letters into calendar reminders (.ics) so volunteers remember
+ * to chase councils that haven't replied
+ */
+import { generateICS, downloadFile, formatRecentDate, slugify } from './utils.js';
+
+export const FOLLOW_UP_DAYS = 21;
+
+// Reminders are set for this time of day, in the visitor's own time zone
+const REMINDER_HOUR = 9;
+
+export class FollowUpReminders {
+    constructor(app, actionLog) {
+        this.app = app;
+        this.actionLog = actionLog;
+        this.sessionStart = new Date().toISOString();
+    }
+
+    /**
+     * Offer a reminder for a letter that has just been sent
+     * @param {Object} entry - Action log entry
+     */
+    offerReminder(entry) {
+        this.app.showToast(`Letter to ${entry.council} Council logged`, 'success', 10000, [{
+            id: 'follow-up',
+            label: `📅 Remind me in ${FOLLOW_UP_DAYS} days`,
+            handler: () => this.downloadReminder(entry)
+        }]);
+    }
+
+    /**
+     * Offer one reminder file covering every council contacted this session
+     */
+    offerSessionReminders() {
+        const count = this.getSessionEntries().length;
+        if (count === 0) return;
+
+        this.app.showToast(`${count} ${count === 1 ? 'letter' : 'letters'} sent this session`, 'success', 10000, [{
+            id: 'follow-up-session',
+            label: `📅 Remind me to follow up all ${count}`,
+            handler: () => this.downloadSessionReminders()
+        }]);
+    }
+
+    getFollowUpDate(entry) {
+        const date = new Date(entry.date);
+        date.setDate(date.getDate() + FOLLOW_UP_DAYS);
+        date.setHours(REMINDER_HOUR, 0, 0, 0);
+        return date;
+    }
+
+    /**
+     * Latest entry for each council contacted since the page was opened
+     * @returns {Array} Action log entries
+     */
+    getSessionEntries() {
+        const seen = new Set();
+        return this.actionLog.getEntries().filter(entry => {
+            if (entry.date < this.sessionStart || seen.has(entry.council)) return false;
+            seen.add(entry.council);
+            return true;
+        });
+    }
+
+    getFollowUpLetter(entry, council) {
+        if (!this.app.emailTemplates || !council) return null;
+
+        const sender = this.app.getSenderProfile();
+        return this.app.emailTemplates.renderFollowUp({
+            ...this.app.getLetterData(council, sender),
+            originalSubject: entry.subject || '',
+            contactDate: formatRecentDate(entry.date)
+        });
+    }
+
+    /**
+     * Build the calendar event for one logged letter
+     * @param {Object} entry - Action log entry
+     * @returns {Object} Event for generateICS
+     */
+    createReminderEvent(entry) {
+        const council = this.app.councils.find(c => c.name === entry.council);
+        const email = council ? council.contactEmail : '';
+        const letter = this.getFollowUpLetter(entry, council);
+        const pageUrl = `${window.location.origin}${window.location.pathname}#/council/${slugify(entry.council)}`;
+
+        const description = [
+            `You wrote to ${entry.council} Council on ${formatRecentDate(entry.date)}.`,
+            entry.subject ? `Original subject: ${entry.subject}` : '',
+            email ? `Council email: ${email}` : '',
+            `Council page: ${pageUrl}`,
+            letter ? `Suggested follow-up letter\n\nSubject: ${letter.subject}\n\n${letter.body}` : ''
+        ].filter(Boolean).join('\n\n');
+
+        return {
+            uid: `follow-up-${slugify(entry.council)}-${Date.parse(entry.date)}@sgar-tracker`,
+            start: this.getFollowUpDate(entry),
+            summary: `Follow up with ${entry.council} Council about SGARs`,
+            description,
+            url: pageUrl
+        };
+    }
+
+    downloadReminder(entry) {
+        const ics = generateICS([this.createReminderEvent(entry)]);
+        downloadFile(ics, `follow-up-${slugify(entry.council)}.ics`, 'text/calendar');
+        console.log(`📅 Follow-up reminder created for ${entry.council}`);
+    }
+
+    downloadSessionReminders() {
+        const entries = this.getSessionEntries();
+        if (entries.length === 0) {
+            this.app.showToast('You haven\'t sent any letters since opening this page', 'info');
+            return;
+        }
+
+        const ics = generateICS(entries.map(entry => this.createReminderEvent(entry)));
+        downloadFile(ics, `follow-up-reminders-${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar');
+        console.log(`📅 Follow-up reminders created for ${entries.length} councils`);
+    }
+
+    /**
+     * Download a reminder for a logged entry from an inline handler
+     * @param {string} date - ISO date of the entry
+     * @param {string} encodedName - URI-encoded council name
+     */
+    downloadEntryReminder(date, encodedName) {
+        const councilName = decodeURIComponent(encodedName);
+        const entry = this.actionLog.getCouncilEntries(councilName).find(e => e.date === date);
+        if (entry) {
+            this.downloadReminder(entry);
+        }
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * Letter Composer Module
+ * Optional compose step that personalises a council letter with the sender's
+ * details before the configured campaign provider sends it
+ */
+import { escapeHtml, debounce, logError } from './utils.js';
+
+export class LetterComposer {
+    constructor(app, campaign = null) {
+        this.app = app;
+        this.campaign = campaign;
+        this.provider = null;
+        this.source = 'composer';
+        this.modal = document.getElementById('actionModal');
+        this.container = document.getElementById('composeContainer');
+        this.council = null;
+        this.toneId = null;
+        this.subjectEdited = false;
+        this.bodyEdited = false;
+        this.profileChanged = false;
+
+        this.saveProfile = debounce(() => {
+            this.app.saveSenderProfile(this.readProfile());
+            this.profileChanged = true;
+        }, 400);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.modal && this.modal.style.display === 'block');
+    }
+
+    /**
+     * Open the composer for a council
+     * @param {Object} council - Council to write to
+     * @param {Object} options - { source } where the action was launched from, for the action log
+     */
+    open(council, { source = 'composer' } = {}) {
+        if (!this.modal || !this.container) return;
+
+        this.council = council;
+        this.source = source;
+        this.provider = this.campaign ? this.campaign.getProvider(council) : null;
+        this.toneId = this.app.emailTemplates ? this.app.emailTemplates.getTone() : null;
+        this.subjectEdited = false;
+        this.bodyEdited = false;
+        this.profileChanged = false;
+
+        if (this.provider && this.provider.embeds) {
+            // The embedded page can't tell us it was submitted, so the visitor confirms it
+            this.container.innerHTML = this.renderEmbed(council);
+        } else {
+            this.container.innerHTML = this.render(council, this.app.getSenderProfile());
+            this.setupEventListeners();
+            this.updateLetter();
+        }
+
+        this.modal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+
+        const firstField = this.container.querySelector('#compose-name');
+        if (firstField) firstField.focus();
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.style.display = 'none';
+        if (this.container) this.container.innerHTML = '';
+        document.body.style.overflow = 'auto';
+
+        // Saved details change the letters behind every action button
+        if (this.profileChanged && this.app.currentView !== 'map') {
+            this.app.renderCouncils();
+        }
+
+        this.council = null;
+        this.provider = null;
+    }
+
+    renderHeader(council) {
+        return `
+            <div class="compose-header">
+                <h2 class="compose-title" id="compose-title">Write to ${council.name} Council</h2>
+                <p class="compose-recipient">To: <a href="mailto:${council.contactEmail}">${council.contactEmail}</a></p>
+            </div>
+        `;
+    }
+
+    renderEmbed(council) {
+        return `
+            ${this.renderHeader(council)}
+            <div class="compose-embed">
+                ${this.provider.renderEmbed(council)}
+                <div class="compose-actions">
+                    <button type="button" class="council-action-btn action-btn-success" onclick="letterComposer.confirmEmbed()">
+                        ${this.provider.confirmLabel}
+                    </button>
+                </div>
+                <p class="compose-hint">Let us know once you've submitted it, so it's counted in your action log.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Log the embedded action once the visitor says they've submitted it
+     */
+    confirmEmbed() {
+        if (!this.council || !this.provider) return;
+
+        this.app.recordAction(this.council, { channel: this.provider.id, source: this.source });
+        this.close();
+    }
+
+    render(council, profile) {
+        const tones = this.app.emailTemplates ? this.app.emailTemplates.getTones() : [];
+        const toneOptions = tones.map(tone => `
+            <option value="${tone.id}" ${tone.id === this.toneId ? 'selected' : ''}>${tone.label}</option>
+        `).join('');
+
+        const submitLabel = this.provider ? this.provider.submitLabel : '📧 Open in mail app';
+
+        return `
+            ${this.renderHeader(council)}
+            <div class="compose-layout">
+                <form class="compose-profile" id="compose-profile" onsubmit="return false;">
+                    <h3 class="compose-section-title">About you <span class="compose-optional">(optional)</span></h3>
+                    <label class="compose-label" for="compose-name">Your name</label>
+                    <input type="text" class="compose-input" id="compose-name" name="name" autocomplete="name"
+                           value="${escapeHtml(profile.name)}">
+
+                    <label class="compose-label" for="compose-suburb">Your suburb</label>
+                    <input type="text" class="compose-input" id="compose-suburb" name="suburb" autocomplete="address-level2"
+                           value="${escapeHtml(profile.suburb)}">
+
+                    <label class="compose-checkbox">
+                        <input type="checkbox" id="compose-ratepayer" name="isRatepayer" ${profile.isRatepayer ? 'checked' : ''}>
+                        I pay rates to ${council.name} Council
+                    </label>
+
+                    <label class="compose-label" for="compose-note">Why this matters to you</label>
+                    <textarea class="compose-input" id="compose-note" name="note" rows="3" maxlength="400"
+                              placeholder="e.g. We have powerful owls nesting in the reserve behind our house.">${escapeHtml(profile.note)}</textarea>
+
+                    ${toneOptions ? `
+                        <label class="compose-label" for="compose-tone">Letter tone</label>
+                        <select class="compose-input" id="compose-tone">${toneOptions}</select>
+                    ` : ''}
+
+                    <p class="compose-hint">
+                        Your details are saved on this device only, so your next letter is ready to go.
+                        <button type="button" class="compose-link-btn" onclick="letterComposer.forgetProfile()">Forget my details</button>
+                    </p>
+                </form>
+
+                <div class="compose-letter">
+                    <h3 class="compose-section-title">Your letter</h3>
+                    <label class="compose-label" for="compose-subject">Subject</label>
+                    <input type="text" class="compose-input" id="compose-subject">
+
+                    <label class="compose-label" for="compose-body">Preview and edit</label>
+                    <textarea class="compose-input compose-body" id="compose-body" rows="16"></textarea>
+                    <p class="compose-hint" id="compose-edited-hint" hidden>
+                        You've edited the letter, so changes to your details won't update it.
+                        <button type="button" class="compose-link-btn" onclick="letterComposer.resetLetter()">Reset to template</button>
+                    </p>
+
+                    <div class="compose-actions">
+                        <button type="button" class="council-action-btn action-btn-success" id="compose-send" onclick="letterComposer.send()">
+                            ${submitLabel}
+                        </button>
+                        <button type="button" class="council-action-btn action-btn-secondary" onclick="letterComposer.copyToClipboard()">
+                            📋 Copy to clipboard
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        const profileForm = this.container.querySelector('#compose-profile');
+        const subjectInput = this.container.querySelector('#compose-subject');
+        const bodyInput = this.container.querySelector('#compose-body');
+        const toneSelect = this.container.querySelector('#compose-tone');
+
+        profileForm.addEventListener('input', (e) => {
+            if (e.target === toneSelect) return;
+            this.updateLetter();
+            this.saveProfile();
+        });
+
+        if (toneSelect) {
+            toneSelect.addEventListener('change', () => {
+                this.toneId = toneSelect.value;
+                this.updateLetter();
+            });
+        }
+
+        subjectInput.addEventListener('input', () => {
+            this.subjectEdited = true;
+            this.updateEditedHint();
+        });
+
+        bodyInput.addEventListener('input', () => {
+            this.bodyEdited = true;
+            this.updateEditedHint();
+        });
+    }
+
+    readProfile() {
+        const value = (id) => this.container.querySelector(id).value.trim();
+
+        return {
+            name: value('#compose-name'),
+            suburb: value('#compose-suburb'),
+            isRatepayer: this.container.querySelector('#compose-ratepayer').checked,
+            note: value('#compose-note')
+        };
+    }
+
+    /**
+     * Re-render the letter from the template unless the visitor has edited it
+     */
+    updateLetter() {
+        if (!this.council) return;
+
+        const letter = this.app.getLetter(this.council, this.readProfile(), this.toneId)
+            || { subject: '', body: '' };
+
+        if (!this.subjectEdited) {
+            this.container.querySelector('#compose-subject').value = letter.subject;
+        }
+        if (!this.bodyEdited) {
+            this.container.querySelector('#compose-body').value = letter.body;
+        }
+    }
+
+    updateEditedHint() {
+        const hint = this.container.querySelector('#compose-edited-hint');
+        if (hint) hint.hidden = !(this.subjectEdited || this.bodyEdited);
+    }
+
+    resetLetter() {
+        this.subjectEdited = false;
+        this.bodyEdited = false;
+        this.updateLetter();
+        this.updateEditedHint();
+    }
+
+    forgetProfile() {
+        this.app.clearSenderProfile();
+        this.profileChanged = true;
+
+        ['#compose-name', '#compose-suburb', '#compose-note'].forEach(id => {
+            this.container.querySelector(id).value = '';
+        });
+        this.container.querySelector('#compose-ratepayer').checked = false;
+
+        this.updateLetter();
+        this.app.showToast('Your details have been removed from this device', 'info');
+    }
+
+    getComposedLetter() {
+        return {
+            to: this.council.contactEmail,
+            subject: this.container.querySelector('#compose-subject').value,
+            body: this.container.querySelector('#compose-body').value
+        };
+    }
+
+    /**
+     * Hand the composed letter to the campaign provider
+     */
+    async send() {
+        const letter = this.getComposedLetter();
+
+        const template = this.app.emailTemplates
+            ? this.app.emailTemplates.getTemplateId(this.council.status, this.toneId)
+            : null;
+
+        if (!this.provider) {
+            window.location.href = `mailto:${letter.to}?subject=${encodeURIComponent(letter.subject)}&body=${encodeURIComponent(letter.body)}`;
+            this.app.recordAction(this.council, { channel: 'mailto', source: this.source, template, subject: letter.subject });
+            return;
+        }
+
+        const sendButton = this.container.querySelector('#compose-send');
+        if (sendButton) sendButton.disabled = true;
+
+        try {
+            const result = await this.provider.submit(letter, {
+                council: this.council,
+                profile: this.readProfile()
+            });
+            this.app.recordAction(this.council, { channel: this.provider.id, source: this.source, template, subject: letter.subject });
+
+            if (result.status === 'submitted' || result.status === 'mock') {
+                this.app.showToast(`Your letter to ${this.council.name} Council has been sent`, 'success');
+            }
+        } catch (error) {
+            logError(error, 'LetterComposer.send', { provider: this.provider.id });
+            this.app.showToast('Your letter could not be sent - try copying it instead', 'error');
+        } finally {
+            if (sendButton) sendButton.disabled = false;
+        }
+    }
+
+    async copyToClipboard() {
+        const { to, subject, body } = this.getComposedLetter();
+
+        try {
+            await navigator.clipboard.writeText(`To: ${to}\nSubject: ${subject}\n\n${body}`);
+            this.app.showToast('Letter copied - paste it into your email', 'success');
+        } catch (error) {
+            logError(error, 'LetterComposer.copyToClipboard');
+            this.app.showToast('Could not copy automatically - select the letter text and copy it', 'warning');
+        }
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * LGA Adjacency Module
+ * Works out which local government areas share a border from their boundary
+ * polygons. scripts/build-lga-adjacency.mjs runs this for the bundled
+ * boundaries; the browser only computes it for other boundary data and keeps
+ * the result on the device so it isn't computed again.
+ */
+import { getStorageItem, setStorageItem } from './utils.js';
+
+const ADJACENCY_STORAGE_KEY = 'sgar-lga-adjacency';
+
+// Distance between the two sides of a shared border (in coordinate units)
+// still counted as touching. Boundaries are simplified on each side
+// separately, so shared edges rarely coincide exactly.
+export const DEFAULT_ADJACENCY_TOLERANCE = 500;
+
+// How far the touching stretch of border must extend, as a multiple of the
+// tolerance, so areas meeting only at a corner aren't counted as neighbours
+const MIN_SHARED_LENGTH = 2;
+
+function segmentDistance(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+/**
+ * Build the graph of areas that share a border
+ * @param {Array} areas - [{ code, rings }] where rings are arrays of [x, y]
+ *   coordinates in a projected system such as EPSG:3857
+ * @param {number} tolerance - Largest gap between two borders that still touch
+ * @returns {Object} Area code to the sorted codes of the areas it borders
+ */
+export function buildAdjacencyGraph(areas, tolerance = DEFAULT_ADJACENCY_TOLERANCE) {
+    const cellSize = tolerance * 2;
+    const cellKey = (cx, cy) => `${cx}:${cy}`;
+    const grid = new Map();
+
+    // Index every border segment in the grid cells it passes near
+    areas.forEach((area, areaIndex) => {
+        area.rings.forEach(ring => {
+            for (let i = 1; i < ring.length; i++) {
+                const [x1, y1] = ring[i - 1];
+                const [x2, y2] = ring[i];
+                const segment = { areaIndex, x1, y1, x2, y2 };
+                const steps = Math.ceil(Math.hypot(x2 - x1, y2 - y1) / cellSize) + 1;
+                const cells = new Set();
+
+                for (let step = 0; step <= steps; step++) {
+                    const cx = Math.floor((x1 + (x2 - x1) * step / steps) / cellSize);
+                    const cy = Math.floor((y1 + (y2 - y1) * step / steps) / cellSize);
+                    for (let ox = -1; ox <= 1; ox++) {
+                        for (let oy = -1; oy <= 1; oy++) {
+                            cells.add(cellKey(cx + ox, cy + oy));
+                        }
+                    }
+                }
+
+                cells.forEach(key => {
+                    if (!grid.has(key)) grid.set(key, []);
+                    grid.get(key).push(segment);
+                });
+            }
+        });
+    });
+
+    // Find the vertices of each area that lie on another area's border
+    const neighbours = areas.map(() => new Set());
+    areas.forEach((area, areaIndex) => {
+        // Other area to the extent of the vertices touching it
+        const contacts = new Map();
+
+        area.rings.forEach(ring => ring.forEach(([x, y], index) => {
+            // A closed ring repeats its first vertex at the end; count it once
+            if (index === ring.length - 1 && index > 0 && x === ring[0][0] && y === ring[0][1]) return;
+
+            const touching = new Set();
+            (grid.get(cellKey(Math.floor(x / cellSize), Math.floor(y / cellSize))) || []).forEach(segment => {
+                if (segment.areaIndex === areaIndex || touching.has(segment.areaIndex)) return;
+                if (segmentDistance(x, y, segment.x1, segment.y1, segment.x2, segment.y2) <= tolerance) {
+                    touching.add(segment.areaIndex);
+                }
+            });
+            touching.forEach(other => {
+                const [minX, minY, maxX, maxY] = contacts.get(other) || [x, y, x, y];
+                contacts.set(other, [Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)]);
+            });
+        }));
+
+        contacts.forEach(([minX, minY, maxX, maxY], other) => {
+            if (Math.hypot(maxX - minX, maxY - minY) < tolerance * MIN_SHARED_LENGTH) return;
+            neighbours[areaIndex].add(other);
+            neighbours[other].add(areaIndex);
+        });
+    });
+
+    // An area split across several features is listed once under its code
+    const graph = {};
+    areas.forEach((area, areaIndex) => {
+        const codes = new Set(graph[area.code] || []);
+        neighbours[areaIndex].forEach(other => codes.add(areas[other].code));
+        codes.delete(area.code);
+        graph[area.code] = [...codes].sort();
+    });
+    return graph;
+}
+
+/**
+ * The graph saved on this device for a set of boundaries, if any
+ * @param {string} key - Boundary version from data/boundaries/manifest.json,
+ *   or a hash of the remote boundary data when there is no version
+ * @returns {Object|null} Adjacency graph
+ */
+export function loadAdjacencyGraph(key) {
+    if (!key) return null;
+
+    const saved = getStorageItem(ADJACENCY_STORAGE_KEY, null);
+    return saved && saved.key === key ? saved.graph : null;
+}
+
+/**
+ * Save the graph for a set of boundaries, replacing any saved for another
+ * @param {string} key - Boundary version or remote data hash
+ * @param {Object} graph - Adjacency graph
+ * @returns {boolean} Whether the graph was saved
+ */
+export function saveAdjacencyGraph(key, graph) {
+    if (!key) return false;
+    return setStorageItem(ADJACENCY_STORAGE_KEY, { key, graph });
+}
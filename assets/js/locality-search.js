@@ -0,0 +1,203 @@
+/**
+ * Locality Search Module
+ * Autocomplete for the council search box using the bundled locality and postcode index
+ */
+import { findCouncilMatches, highlightText, escapeHtml, logError } from './utils.js';
+
+export class LocalitySearch {
+    constructor(app, mapController) {
+        this.app = app;
+        this.mapController = mapController;
+        this.localities = [];
+        this.isSeedList = false;
+        this.results = [];
+        this.activeIndex = -1;
+        this.input = null;
+        this.dropdown = null;
+    }
+
+    async init() {
+        this.input = document.getElementById('council-search');
+        this.dropdown = document.getElementById('council-search-results');
+        if (!this.input || !this.dropdown) return;
+
+        await this.loadLocalities();
+        this.setupAccessibility();
+        this.setupEventListeners();
+    }
+
+    async loadLocalities() {
+        try {
+            const response = await fetch('./data/localities.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load localities: ${response.status}`);
+            }
+            const data = await response.json();
+            this.localities = data.localities || [];
+            // Only scripts/build-localities.mjs sets a generation date; the hand-made seed has none
+            this.isSeedList = !data.generated;
+            console.log(`📮 Loaded ${this.localities.length} localities for council search${this.isSeedList ? ' (seed list)' : ''}`);
+        } catch (error) {
+            logError(error, 'LocalitySearch.loadLocalities');
+            console.warn('Council search will match council names only');
+        }
+    }
+
+    setupAccessibility() {
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.dropdown.id);
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => {
+            this.updateResults(this.input.value);
+        });
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.input.addEventListener('focus', () => {
+            if (this.input.value.trim()) {
+                this.updateResults(this.input.value);
+            }
+        });
+
+        // Use mousedown so the selection happens before the input loses focus
+        this.dropdown.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.search-result-item');
+            if (!item) return;
+            e.preventDefault();
+            this.selectResult(parseInt(item.getAttribute('data-index'), 10));
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-container')) {
+                this.close();
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(Math.min(this.activeIndex + 1, this.results.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(Math.max(this.activeIndex - 1, 0));
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.selectResult(this.activeIndex === -1 ? 0 : this.activeIndex);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+
+    updateResults(query) {
+        this.results = findCouncilMatches(query, this.app.councils, this.localities);
+        this.activeIndex = -1;
+
+        if (this.results.length === 0) {
+            if (this.isMissingLocality(query)) {
+                this.renderMissingLocality(query.trim());
+            } else {
+                this.close();
+            }
+            return;
+        }
+
+        this.render(query.trim());
+        this.dropdown.classList.add('active');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    render(query) {
+        const items = this.results.map((result, index) => `
+            <div class="search-result-item" role="option" id="council-search-option-${index}" data-index="${index}" aria-selected="false">
+                <div class="search-result-icon">${result.type === 'locality' ? '📍' : '🏛️'}</div>
+                <div class="search-result-content">
+                    <div class="search-result-name">${highlightText(result.label, query)}</div>
+                    <div class="search-result-detail">${result.detail}</div>
+                </div>
+            </div>
+        `).join('');
+
+        this.dropdown.innerHTML = `<div class="search-results-list">${items}</div>`;
+    }
+
+    // A place the seed list doesn't have, rather than a product or note search
+    isMissingLocality(query) {
+        if (!this.isSeedList || query.trim().length < 3) return false;
+
+        const matches = this.app.searchIndex ? this.app.searchIndex.search(query) : null;
+        return !matches || matches.size === 0;
+    }
+
+    renderMissingLocality(query) {
+        this.dropdown.innerHTML = `
+            <div class="search-results-list">
+                <div class="search-result-empty" role="status">
+                    No council or town matches "${escapeHtml(query)}". Suburb search only covers
+                    council seats and major towns so far, so try your council's name instead.
+                </div>
+            </div>
+        `;
+        this.dropdown.classList.add('active');
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.dropdown.querySelectorAll('.search-result-item').forEach((item, i) => {
+            const isActive = i === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        this.input.setAttribute('aria-activedescendant', `council-search-option-${index}`);
+    }
+
+    /**
+     * Resolve a result to its council, filter the list to it, then zoom the
+     * map and open the popup with the action button
+     * @param {number} index - Index into the current results
+     */
+    selectResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const council = result.council;
+        this.close();
+
+        this.app.selectCouncil(council.name);
+
+        if (this.mapController) {
+            const mapSection = document.getElementById('map-section');
+            if (mapSection) {
+                mapSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            this.mapController.showCouncil(council.name);
+        }
+
+        console.log(`📍 Search "${result.label}" resolved to ${council.name}`);
+    }
+
+    isOpen() {
+        return this.dropdown.classList.contains('active') && this.results.length > 0;
+    }
+
+    close() {
+        this.dropdown.classList.remove('active');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+    }
+}
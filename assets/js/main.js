@@ -2,12 +2,46 @@
 import { SGARTracker } from './sgar-tracker.js';
 import { MapController } from './map-controller.js';
 import { UIController } from './ui-controller.js';
+import { LocalitySearch } from './locality-search.js';
+import { URLStateManager } from './url-state.js';
+import { Router } from './router.js';
+import { CouncilPage } from './council-page.js';
+import { EmailTemplates } from './email-templates.js';
+import { LetterComposer } from './letter-composer.js';
+import { CampaignManager } from './campaign-providers.js';
+import { BulkLetterWriter } from './bulk-letters.js';
+import { ActionLog } from './action-log.js';
+import { ProgressPage } from './progress-page.js';
+import { FollowUpReminders } from './follow-up-reminders.js';
+import { ResponseLog } from './response-log.js';
+import { ReplyRecorder } from './reply-recorder.js';
+import { AdminPage } from './admin-page.js';
+import { RegionTaxonomies } from './region-taxonomies.js';
+import { SearchIndex } from './search-index.js';
+import { ComparePage } from './compare-page.js';
 import { logError, validateCouncilData, createError } from './utils.js';
 
 // Global application instance
 let app = null;
 let mapController = null;
 let uiController = null;
+let localitySearch = null;
+let urlState = null;
+let router = null;
+let councilPage = null;
+let emailTemplates = null;
+let letterComposer = null;
+let campaign = null;
+let bulkLetters = null;
+let actionLog = null;
+let progressPage = null;
+let followUps = null;
+let responseLog = null;
+let replyRecorder = null;
+let adminPage = null;
+let regionTaxonomies = null;
+let searchIndex = null;
+let comparePage = null;
 
 // Application initialization
 async function initializeApp() {
@@ -29,11 +63,28 @@ async function initializeApp() {
         });
 
         if (validationErrors.length > 0) {
-            console.warn('Council data validation warnings:', validationErrors);
+            console.warn('Council data validation warnings (open #/admin to fix them):', validationErrors);
         }
         
+        // Ways of grouping councils into regions, from data/regions.json
+        regionTaxonomies = new RegionTaxonomies();
+        await regionTaxonomies.init();
+        
         // Initialize the main application with council data
-        app = new SGARTracker(councilData);
+        app = new SGARTracker(councilData, regionTaxonomies);
+        
+        // Local record of the letters this visitor has launched
+        actionLog = new ActionLog();
+        app.setActionLog(actionLog);
+        
+        // Calendar reminders to follow up on logged letters
+        followUps = new FollowUpReminders(app, actionLog);
+        app.setFollowUpReminders(followUps);
+        
+        // Replies volunteers receive, kept locally until sent to the maintainers
+        responseLog = new ResponseLog();
+        replyRecorder = new ReplyRecorder(app, responseLog);
+        app.setReplyRecorder(replyRecorder);
         
         // Initialize the map controller with councils and app reference
         mapController = new MapController(app.councils, app);
@@ -41,6 +92,10 @@ async function initializeApp() {
         // Wait for map controller to fully initialize (including name mapping)
         await mapController.init();
         
+        // Index names, official names, notes, products and sources for the search box
+        searchIndex = new SearchIndex(app.councils, mapController.nameMapping);
+        app.setSearchIndex(searchIndex);
+        
         // Initialize the UI controller with both app and map references
         uiController = new UIController(app, mapController);
         
@@ -48,10 +103,94 @@ async function initializeApp() {
         app.setMapController(mapController);
         app.setUIController(uiController);
         
+        // Load the editable letter templates used by the action buttons
+        emailTemplates = new EmailTemplates();
+        await emailTemplates.init();
+        app.setEmailTemplates(emailTemplates);
+        
+        // Campaign provider decides how composed letters are sent
+        campaign = new CampaignManager();
+        await campaign.init();
+        
+        // Optional compose step that personalises letters before sending
+        letterComposer = new LetterComposer(app, campaign);
+        app.setLetterComposer(letterComposer);
+        
+        // Write to every council in the current filter at once
+        bulkLetters = new BulkLetterWriter(app, campaign);
+        
+        // Initialize suburb and postcode autocomplete for the council search box
+        localitySearch = new LocalitySearch(app, mapController);
+        await localitySearch.init();
+        
+        // Restore filters, view, page, council and map position from the URL
+        // and keep the URL in sync from here on
+        urlState = new URLStateManager(app, mapController);
+        app.setURLState(urlState);
+        urlState.init();
+        
+        // Per-council pages live at #/council/<slug>, side-by-side comparisons
+        // at #/compare/<slug>+<slug>, personal progress at #/progress and the
+        // maintainers' data console at #/admin; anything else is the main tracker
+        councilPage = new CouncilPage(app, mapController);
+        comparePage = new ComparePage(app, mapController, responseLog);
+        progressPage = new ProgressPage(app, actionLog, responseLog);
+        adminPage = new AdminPage(app);
+        router = new Router()
+            .on('/council/:slug', ({ slug }) => {
+                comparePage.hide();
+                progressPage.hide();
+                adminPage.hide();
+                councilPage.show(slug);
+            })
+            .on('/compare/:slugs', ({ slugs }) => {
+                councilPage.hide();
+                progressPage.hide();
+                adminPage.hide();
+                comparePage.show(slugs);
+            })
+            .on('/progress', () => {
+                councilPage.hide();
+                comparePage.hide();
+                adminPage.hide();
+                progressPage.show();
+            })
+            .on('/admin', () => {
+                councilPage.hide();
+                comparePage.hide();
+                progressPage.hide();
+                adminPage.show();
+            })
+            .otherwise(() => {
+                councilPage.hide();
+                comparePage.hide();
+                progressPage.hide();
+                adminPage.hide();
+            });
+        
         // Make all controllers globally available for inline event handlers
         window.app = app;
         window.mapController = mapController;
         window.uiController = uiController;
+        window.localitySearch = localitySearch;
+        window.urlState = urlState;
+        window.router = router;
+        window.councilPage = councilPage;
+        window.comparePage = comparePage;
+        window.emailTemplates = emailTemplates;
+        window.letterComposer = letterComposer;
+        window.campaign = campaign;
+        window.bulkLetters = bulkLetters;
+        window.actionLog = actionLog;
+        window.progressPage = progressPage;
+        window.followUps = followUps;
+        window.responseLog = responseLog;
+        window.replyRecorder = replyRecorder;
+        window.adminPage = adminPage;
+        window.regionTaxonomies = regionTaxonomies;
+        window.searchIndex = searchIndex;
+        
+        router.start();
         
         console.log('SGAR Tracker initialized successfully');
         console.log('Map Controller initialized successfully');
@@ -90,4 +229,4 @@ if (document.readyState === 'loading') {
 }
 
 // Export for potential external use
-export { app, mapController, uiController };
\ No newline at end of file
+export { app, mapController, uiController, localitySearch, urlState, router, councilPage, comparePage, emailTemplates, letterComposer, campaign, bulkLetters, actionLog, progressPage, followUps, responseLog, replyRecorder, adminPage, regionTaxonomies, searchIndex };
\ No newline at end of file
@@ -2,7 +2,34 @@
  * Map Controller Module
  * Handles interactive OpenLayers map functionality for NSW councils
  */
-import { formatCouncilStatus, logError, safeExecute } from './utils.js';
+import { 
+    formatCouncilStatus, 
+    formatSourceType, 
+    formatPartialDate, 
+    getSourceHref, 
+    getIngredientClass, 
+    truncateText, 
+    logError, 
+    safeExecute,
+    normalizeLGACode,
+    slugify,
+    councilMatchesFilters,
+    hashString,
+    whenIdle,
+    CONSTANTS
+} from './utils.js';
+import { buildAdjacencyGraph, loadAdjacencyGraph, saveAdjacencyGraph } from './lga-adjacency.js';
+
+// Initial map position, centred on NSW
+export const DEFAULT_MAP_CENTER = [147.0, -32.0];
+export const DEFAULT_MAP_ZOOM = 6;
+
+const BOUNDARY_MANIFEST_URL = './data/boundaries/manifest.json';
+const ADJACENCY_URL = './data/boundaries/adjacency.json';
+// Property names carrying the ABS LGA code and official name in supported boundary datasets
+const LGA_CODE_PROPERTIES = ['lga_code', 'lga_code_2021', 'LGA_CODE21', 'LGA_CODE22', 'LGA_CODE24', 'LGA_CODE'];
+const LGA_NAME_PROPERTIES = ['lga_name', 'lga_name_2021', 'LGA_NAME', 'LGA_NAME21', 'LGA_NAME22', 'lga_nam11', 'lga_name16', 'lgaName', 'name', 'NAME'];
+const REMOTE_BOUNDARY_URL = 'https://data.opendatasoft.com/api/records/1.0/search/?dataset=georef-australia-local-government-area@public&refine.ste_name=New%20South%20Wales&format=geojson&rows=200';
 
 export class MapController {
     constructor(councils, sgarTracker) {
@@ -14,12 +41,28 @@ export class MapController {
         this.vectorSource = null;
         this.currentFilter = null;
         this.nameMapping = null;
+        this.councilsByCode = new Map();
+        this.councilsByOfficialName = new Map();
+        this.featureCouncils = new WeakMap();
+        this.boundaryMatchReport = null;
+        this.boundariesLoaded = new Promise(resolve => {
+            this.resolveBoundariesLoaded = resolve;
+        });
+        this.boundarySource = null;
+        this.boundaryVersion = null;
+        this.boundaryHash = null;
+        this.adjacency = null;
+        this.adjacencyRequested = false;
+        this.adjacencyLoaded = new Promise(resolve => {
+            this.resolveAdjacencyLoaded = resolve;
+        });
     }
 
     async init() {
         this.createMap();
         this.createPopup();
         await this.loadNameMapping();
+        this.buildCouncilIndex();
         
         // Debug: Log council data info
         console.log(`MapController initialized with ${this.councils.length} councils`);
@@ -75,8 +118,8 @@ export class MapController {
                 })
             ],
             view: new ol.View({
-                center: ol.proj.fromLonLat([147.0, -32.0]), // Center on NSW
-                zoom: 6,
+                center: ol.proj.fromLonLat(DEFAULT_MAP_CENTER), // Center on NSW
+                zoom: DEFAULT_MAP_ZOOM,
                 minZoom: 5,
                 maxZoom: 12
             }),
@@ -262,38 +305,25 @@ export class MapController {
         this.map.addLayer(this.vectorLayer);
         console.log('✅ Added vectorLayer to map');
 
-        // Load NSW LGA boundaries from OpenDataSoft (reliable alternative)
-        // Using official Australian LGA data filtered for NSW only
-        const geoJsonUrl = 'https://data.opendatasoft.com/api/records/1.0/search/?dataset=georef-australia-local-government-area@public&refine.ste_name=New%20South%20Wales&format=geojson&rows=200';
-        console.log('🌐 Loading GeoJSON from OpenDataSoft:', geoJsonUrl);
-        
+        // Load NSW LGA boundaries from the bundled, versioned file under data/boundaries,
+        // falling back to the live OpenDataSoft API only if the local copy is unavailable
         const lgaSource = new ol.source.Vector({
-            loader: function() {
-                // Custom loader to handle geo_shape geometries
-                fetch(geoJsonUrl)
-                    .then(response => response.json())
+            loader: (extent, resolution, projection, success, failure) => {
+                this.fetchBoundaryData()
                     .then(data => {
                         const format = new ol.format.GeoJSON({
                             dataProjection: 'EPSG:4326',
                             featureProjection: 'EPSG:3857'
                         });
                         
-                        // Process each feature to use geo_shape instead of default geometry
-                        if (data.features) {
-                            data.features.forEach(feature => {
-                                if (feature.properties && feature.properties.geo_shape) {
-                                    // Replace the point geometry with the polygon geo_shape
-                                    feature.geometry = feature.properties.geo_shape;
-                                }
-                            });
-                        }
-                        
                         const features = format.readFeatures(data);
                         lgaSource.addFeatures(features);
-                        console.log(`🔄 Processed ${features.length} features with polygon geometries`);
+                        console.log(`🔄 Processed ${features.length} features with polygon geometries (${this.boundarySource})`);
+                        if (success) success(features);
                     })
                     .catch(error => {
                         console.error('❌ Error loading or processing GeoJSON:', error);
+                        if (failure) failure();
                     });
             }
         });
@@ -360,23 +390,89 @@ export class MapController {
         }, 3000);
     }
 
+    /**
+     * Load LGA boundary GeoJSON, preferring the bundled copy described by
+     * data/boundaries/manifest.json and falling back to the remote source
+     * named in the manifest (or the built-in OpenDataSoft URL).
+     * @returns {Promise<Object>} GeoJSON FeatureCollection
+     */
+    async fetchBoundaryData() {
+        let manifest = null;
+        
+        try {
+            const manifestResponse = await fetch(BOUNDARY_MANIFEST_URL);
+            if (!manifestResponse.ok) {
+                throw new Error(`Failed to load boundary manifest: ${manifestResponse.status}`);
+            }
+            manifest = await manifestResponse.json();
+            
+            // The manifest only names a file once build-lga-boundaries.mjs has written it
+            if (!manifest.file) {
+                throw new Error('No bundled boundary file has been generated yet');
+            }
+            
+            // Version the request so browsers pick up new boundary releases
+            const localUrl = `./data/boundaries/${manifest.file}?v=${encodeURIComponent(manifest.version)}`;
+            console.log('🗺️ Loading bundled LGA boundaries:', localUrl);
+            
+            const response = await fetch(localUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load bundled boundaries: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.boundarySource = 'local';
+            this.boundaryVersion = manifest.version;
+            return data;
+        } catch (error) {
+            logError(error, 'MapController.fetchBoundaryData');
+            
+            const remote = manifest?.remote || { enabled: true, url: REMOTE_BOUNDARY_URL };
+            if (!remote.enabled) {
+                throw error;
+            }
+            
+            console.warn('🌐 Falling back to remote LGA boundaries:', remote.url);
+            const response = await fetch(remote.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load remote boundaries: ${response.status}`);
+            }
+            
+            // Remote data has no version, so a hash of it keys the saved adjacency graph
+            const text = await response.text();
+            const data = this.normalizeRemoteBoundaries(JSON.parse(text));
+            this.boundarySource = 'remote';
+            this.boundaryVersion = null;
+            this.boundaryHash = hashString(text);
+            return data;
+        }
+    }
+
+    normalizeRemoteBoundaries(data) {
+        // OpenDataSoft returns a centroid point as the geometry and the polygon in geo_shape
+        if (data.features) {
+            data.features.forEach(feature => {
+                if (feature.properties && feature.properties.geo_shape) {
+                    feature.geometry = feature.properties.geo_shape;
+                    delete feature.properties.geo_shape;
+                }
+            });
+        }
+        return data;
+    }
+
     getLGAStyle(feature) {
         // Debug: Track total style calls with rate limiting
         if (!this.styleCallCount) this.styleCallCount = 0;
         if (!this.lastStyleLogTime) this.lastStyleLogTime = 0;
         this.styleCallCount++;
         
-        // Try multiple possible property names for LGA name (OpenDataSoft format)
-        const councilName = feature.get('lga_name_2021') || feature.get('lga_name') || feature.get('LGA_NAME') || 
-                           feature.get('name') || feature.get('NAME') || feature.get('lga_nam11') || 
-                           feature.get('lga_name16') || feature.get('LGA_NAME22') || feature.get('lgaName') || 
-                           feature.get('LGA_NAM');
-        const council = this.findCouncilByName(councilName);
+        const council = this.getFeatureCouncil(feature);
         
         // Debug: Rate limited logging (max once per second)
         const now = Date.now();
         if (this.styleCallCount <= 5 && now - this.lastStyleLogTime > 1000) {
-            console.log(`🎨 Style call ${this.styleCallCount}: GIS name="${councilName}", Found council:`, council ? `${council.name} (${council.status})` : 'NOT FOUND');
+            console.log(`🎨 Style call ${this.styleCallCount}: LGA code="${this.getFeatureCode(feature)}", Found council:`, council ? `${council.name} (${council.status})` : 'NOT FOUND');
             const props = feature.getProperties();
             console.log('Feature properties:', Object.keys(props).filter(k => k !== 'geometry'));
             this.lastStyleLogTime = now;
@@ -431,20 +527,51 @@ export class MapController {
                 return {
                     fill: isHover ? 'rgba(220, 53, 69, 0.8)' : 'rgba(220, 53, 69, 0.7)',
                     border: null, // No border for clean look
-                    hover: 'rgba(220, 53, 69, 0.85)'
+                    hover: 'rgba(220, 53, 69, 0.85)',
+                    legend: 'rgb(220, 53, 69)'
+                };
+            case 'Contractor': // Contractor use only - Purple
+                return {
+                    fill: isHover ? 'rgba(111, 66, 193, 0.8)' : 'rgba(111, 66, 193, 0.7)',
+                    border: null, // No border for clean look
+                    hover: 'rgba(111, 66, 193, 0.85)',
+                    legend: 'rgb(111, 66, 193)'
+                };
+            case 'Partial': // Partial use - Orange
+                return {
+                    fill: isHover ? 'rgba(253, 126, 20, 0.8)' : 'rgba(253, 126, 20, 0.7)',
+                    border: null, // No border for clean look
+                    hover: 'rgba(253, 126, 20, 0.85)',
+                    legend: 'rgb(253, 126, 20)'
+                };
+            case 'Committed': // Committed to phase out - Teal
+                return {
+                    fill: isHover ? 'rgba(23, 162, 184, 0.8)' : 'rgba(23, 162, 184, 0.7)',
+                    border: null, // No border for clean look
+                    hover: 'rgba(23, 162, 184, 0.85)',
+                    legend: 'rgb(23, 162, 184)'
+                };
+            case 'Transitioning': // Transitioning - Light green
+                return {
+                    fill: isHover ? 'rgba(138, 190, 60, 0.8)' : 'rgba(138, 190, 60, 0.7)',
+                    border: null, // No border for clean look
+                    hover: 'rgba(138, 190, 60, 0.85)',
+                    legend: 'rgb(138, 190, 60)'
                 };
             case 'No': // SGAR-Free - Success/Safe green
                 return {
                     fill: isHover ? 'rgba(40, 167, 69, 0.8)' : 'rgba(40, 167, 69, 0.7)',
                     border: null, // No border for clean look
-                    hover: 'rgba(40, 167, 69, 0.85)'
+                    hover: 'rgba(40, 167, 69, 0.85)',
+                    legend: 'rgb(40, 167, 69)'
                 };
             case 'Unknown': // Status unknown - Neutral blue-gray
             default:
                 return {
                     fill: isHover ? 'rgba(108, 117, 125, 0.7)' : 'rgba(108, 117, 125, 0.6)',
                     border: null, // No border for clean look
-                    hover: 'rgba(108, 117, 125, 0.75)'
+                    hover: 'rgba(108, 117, 125, 0.75)',
+                    legend: 'rgb(108, 117, 125)'
                 };
         }
     }
@@ -461,57 +588,126 @@ export class MapController {
         });
     }
 
-    findCouncilByName(gisName) {
-        if (!gisName) return null;
+    /**
+     * Build code and official-name lookups once, so features can be joined to
+     * councils without rebuilding mappings on every style or click call
+     */
+    buildCouncilIndex() {
+        this.councilsByCode = new Map();
+        this.councilsByOfficialName = new Map();
+        this.featureCouncils = new WeakMap();
         
-        // If we have name mapping, use reverse lookup first
-        if (this.nameMapping) {
-            // Create reverse mapping (GIS name -> our name)
-            const reverseMapping = {};
-            for (const [ourName, gisFullName] of Object.entries(this.nameMapping)) {
-                reverseMapping[gisFullName] = ourName;
+        const councilsByName = new Map(this.councils.map(council => [council.name.toUpperCase(), council]));
+        
+        this.councils.forEach(council => {
+            if (council.lgaCode) {
+                this.councilsByCode.set(council.lgaCode, council);
             }
-            
-            // Try exact match with mapping
-            if (reverseMapping[gisName]) {
-                const ourName = reverseMapping[gisName];
-                const foundCouncil = this.councils.find(council => {
-                    // Compare both the title case name and the uppercase version
-                    return council.name.toUpperCase() === ourName.toUpperCase() ||
-                           council.name.toUpperCase().replace(/\s+/g, ' ') === ourName.toUpperCase().replace(/\s+/g, ' ');
-                });
-                if (foundCouncil) {
-                    console.log(`Found council via mapping: GIS="${gisName}" -> Our="${ourName}" -> Council="${foundCouncil.name}" (${foundCouncil.status})`);
+        });
+        
+        if (this.nameMapping) {
+            for (const [ourName, entry] of Object.entries(this.nameMapping)) {
+                const council = councilsByName.get(ourName.toUpperCase());
+                if (!council) continue;
+                
+                if (!council.lgaCode && entry.lgaCode) {
+                    this.councilsByCode.set(entry.lgaCode, council);
+                }
+                if (entry.name) {
+                    this.councilsByOfficialName.set(entry.name.toUpperCase(), council);
                 }
-                return foundCouncil;
             }
         }
         
-        // Fallback to fuzzy matching
-        const normalizedGisName = gisName.toUpperCase().trim();
+        console.log(`🔑 Indexed ${this.councilsByCode.size} councils by LGA code`);
+    }
+
+    getFeatureCode(feature) {
+        for (const property of LGA_CODE_PROPERTIES) {
+            const code = normalizeLGACode(feature.get(property));
+            if (code) return code;
+        }
+        return null;
+    }
+
+    getFeatureName(feature) {
+        for (const property of LGA_NAME_PROPERTIES) {
+            const value = feature.get(property);
+            const name = Array.isArray(value) ? value[0] : value;
+            if (name) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Find the council for a boundary feature, joining on the ABS LGA code.
+     * Features without a code fall back to an exact official-name lookup.
+     * @param {ol.Feature} feature - LGA boundary feature
+     * @returns {Object|null} Matching council or null
+     */
+    getFeatureCouncil(feature) {
+        if (this.featureCouncils.has(feature)) {
+            return this.featureCouncils.get(feature);
+        }
+        
+        const code = this.getFeatureCode(feature);
+        const council = code
+            ? this.councilsByCode.get(code) || null
+            : this.findCouncilByName(this.getFeatureName(feature));
         
-        // Remove common prefixes/suffixes for comparison
-        const cleanGisName = normalizedGisName
-            .replace(/\b(CITY|SHIRE|REGIONAL|MUNICIPAL|COUNCIL|THE COUNCIL OF THE|MUNICIPALITY OF|CITY OF|SHIRE OF)\b/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
+        this.featureCouncils.set(feature, council);
+        return council;
+    }
+
+    findCouncilByName(gisName) {
+        if (!gisName) return null;
+        return this.councilsByOfficialName.get(String(gisName).toUpperCase().trim()) || null;
+    }
+
+    /**
+     * Log boundary features and councils that could not be joined, so data
+     * problems show up on load rather than as a wrongly coloured map
+     * @param {Array<ol.Feature>} features - Loaded LGA boundary features
+     */
+    reportBoundaryMatches(features) {
+        const matchedCouncils = new Set();
+        const unmatchedFeatures = [];
         
-        return this.councils.find(council => {
-            const councilName = council.name.toUpperCase();
+        features.forEach(feature => {
+            const council = this.getFeatureCouncil(feature);
+            if (council) {
+                matchedCouncils.add(council);
+                return;
+            }
             
-            // Exact match
-            if (councilName === normalizedGisName) return true;
+            const code = this.getFeatureCode(feature);
+            // ABS codes ending in 99 are unincorporated areas and other non-council regions
+            if (code && code.endsWith('99')) return;
             
-            // Clean name comparison  
-            const cleanCouncilName = councilName
-                .replace(/\b(CITY|SHIRE|REGIONAL|MUNICIPAL|COUNCIL)\b/g, '')
-                .replace(/\s+/g, ' ')
-                .trim();
-                
-            return cleanCouncilName === cleanGisName ||
-                   cleanCouncilName.includes(cleanGisName) ||
-                   cleanGisName.includes(cleanCouncilName);
+            unmatchedFeatures.push(`${this.getFeatureName(feature) || 'Unnamed feature'} (${code || 'no code'})`);
         });
+        
+        const unmatchedCouncils = this.councils
+            .filter(council => !matchedCouncils.has(council))
+            .map(council => `${council.name} (${council.lgaCode || 'no code'})`);
+        
+        this.boundaryMatchReport = {
+            matched: matchedCouncils.size,
+            unmatchedFeatures,
+            unmatchedCouncils
+        };
+        
+        if (unmatchedFeatures.length > 0) {
+            console.warn(`⚠️ ${unmatchedFeatures.length} boundary features did not match a council:`, unmatchedFeatures);
+        }
+        if (unmatchedCouncils.length > 0) {
+            console.warn(`⚠️ ${unmatchedCouncils.length} councils have no boundary feature:`, unmatchedCouncils);
+        }
+        if (unmatchedFeatures.length === 0 && unmatchedCouncils.length === 0) {
+            console.log(`✅ All ${matchedCouncils.size} councils matched to boundary features by LGA code`);
+        }
+        
+        return this.boundaryMatchReport;
     }
 
     handleMapClick(evt) {
@@ -519,11 +715,7 @@ export class MapController {
         
         if (features && features.length > 0) {
             const feature = features[0];
-            const councilName = feature.get('lga_name_2021') || feature.get('lga_name') || feature.get('LGA_NAME') || 
-                               feature.get('name') || feature.get('NAME') || feature.get('lga_nam11') || 
-                               feature.get('lga_name16') || feature.get('LGA_NAME22') || feature.get('lgaName') || 
-                               feature.get('LGA_NAM');
-            const council = this.findCouncilByName(councilName);
+            const council = this.getFeatureCouncil(feature);
             
             if (council) {
                 this.showPopup(evt.coordinate, council);
@@ -545,23 +737,44 @@ export class MapController {
         }
     }
 
-    showPopup(coordinate, council) {
+    showPopup(coordinate, council, options = {}) {
         const statusInfo = formatCouncilStatus(council.status);
         const statusIcon = statusInfo.icon;
         const statusText = statusInfo.text;
+        // Mark the words matching the council search, if there is one
+        const highlight = (text) => this.sgarTracker ? this.sgarTracker.highlightSearch(council, text) : text;
 
         const popupContent = `
             <button class="popup-closer">×</button>
             <div class="popup-content">
-                <h3>${council.name}</h3>
+                ${options.fromLocation ? `
+                    <p class="popup-location-note">📍 Your location is in this council area</p>
+                ` : ''}
+                <h3>${highlight(council.name)}</h3>
                 <p><strong>SGAR Status:</strong> ${statusIcon} ${statusText}</p>
-                <p><strong>Region:</strong> ${council.region}</p>
-                <p><strong>Notes:</strong> ${council.notes}</p>
+                ${this.sgarTracker ? this.sgarTracker.createContactedBadge(council) : ''}
+                ${council.phaseOutBy ? `
+                    <p><strong>Phase-out by:</strong> ${formatPartialDate(council.phaseOutBy)}</p>
+                ` : ''}
+                <p><strong>${this.sgarTracker ? this.sgarTracker.getRegionTaxonomyLabel() : 'Region'}:</strong> ${council.region}</p>
+                ${council.ingredients && council.ingredients.length > 0 ? `
+                    <p><strong>Active ingredients:</strong> ${council.ingredients.map(i => `${i.name} (${getIngredientClass(i.name).shortLabel})`).join(', ')}</p>
+                ` : ''}
+                ${this.sgarTracker ? this.sgarTracker.createNeighbourSummary(council) : ''}
+                <p><strong>Notes:</strong> ${highlight(council.notes)}</p>
+                ${this.sgarTracker ? this.sgarTracker.createSearchSnippets(council) : ''}
                 <p><strong>Contact:</strong> <a href="mailto:${council.contactEmail}">${council.contactEmail}</a></p>
+                ${this.createPopupSources(council.sources)}
+                <p><a href="#/council/${slugify(council.name)}" class="popup-page-link">Open council page →</a></p>
+                ${this.sgarTracker ? `<div class="popup-compare">${this.sgarTracker.createCompareButton(council)}</div>` : ''}
+                ${options.fromLocation && this.sgarTracker ? `
+                    <div class="popup-status-action">${this.sgarTracker.createActionButton(council, 'popup')}</div>
+                ` : `
                 <button class="council-action-btn primary" style="width: 100%; margin-top: 10px;" 
-                        onclick="app.contactCouncil('${encodeURIComponent(JSON.stringify(council))}')">
+                        onclick="app.contactCouncil('${encodeURIComponent(council.name)}', 'popup')">
                     Take Action
                 </button>
+                `}
             </div>
         `;
 
@@ -570,42 +783,185 @@ export class MapController {
         this.popup.setPosition(coordinate);
     }
 
+    createPopupSources(sources) {
+        if (!sources || sources.length === 0) return '';
+
+        const items = sources.map(source => {
+            const typeInfo = formatSourceType(source.type);
+            const href = getSourceHref(source);
+            const title = href
+                ? `<a href="${href}" target="_blank" rel="noopener">${source.title}</a>`
+                : source.title;
+
+            return `
+                <li>
+                    <span class="popup-source-type">${typeInfo.icon} ${typeInfo.label}, ${formatPartialDate(source.date)}</span>
+                    ${title}
+                    <q>${truncateText(source.quote, 120)}</q>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="popup-sources">
+                <strong>Sources (${sources.length})</strong>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }
+
     closePopup() {
         this.popup.setPosition(undefined);
         document.getElementById('map-popup').style.display = 'none';
     }
 
     setupMapControls() {
-        // Add custom search control if available
-        if (typeof ol.control !== 'undefined' && ol.control.SearchNominatim) {
-            const searchControl = new ol.control.SearchNominatim({
-                placeholder: 'Search councils...',
-                target: document.getElementById('lga-search')
-            });
-            this.map.addControl(searchControl);
-        }
+        // Add "use my location" control
+        this.createLocateControl();
 
         // Add legend
         this.createLegend();
     }
 
+    createLocateControl() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'locate-btn';
+        button.innerHTML = '📍';
+        button.title = 'Use my location';
+        button.setAttribute('aria-label', 'Find my council using my location');
+        button.addEventListener('click', () => this.locateUser());
+
+        const element = document.createElement('div');
+        element.className = 'locate-control ol-unselectable ol-control';
+        element.appendChild(button);
+
+        this.map.addControl(new ol.control.Control({ element }));
+    }
+
+    /**
+     * Find the council containing the visitor's position. The position is
+     * only used for a point-in-polygon test against the loaded boundaries
+     * and is never sent anywhere or stored.
+     */
+    locateUser() {
+        if (!('geolocation' in navigator)) {
+            this.showLocationMessage('Your browser cannot share your location. Try searching for your suburb or postcode instead.');
+            return;
+        }
+
+        if (!this.lgaLayer || this.lgaLayer.getSource().getFeatures().length === 0) {
+            this.showLocationMessage('The council map is still loading. Please try again in a moment.');
+            return;
+        }
+
+        this.setLocating(true);
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                this.setLocating(false);
+                this.showCouncilAtLocation(position.coords.longitude, position.coords.latitude);
+            },
+            (error) => {
+                this.setLocating(false);
+                const messages = {
+                    1: 'Location access was declined. You can search for your suburb or postcode instead.',
+                    2: 'Your location could not be determined. Try searching for your suburb or postcode instead.',
+                    3: 'Finding your location took too long. Please try again.'
+                };
+                this.showLocationMessage(messages[error.code] || messages[2]);
+            },
+            {
+                enableHighAccuracy: false,
+                timeout: 10000,
+                maximumAge: 300000
+            }
+        );
+    }
+
+    findFeatureAtCoordinate(coordinate) {
+        if (!this.lgaLayer) return null;
+
+        // Uses each polygon's intersectsCoordinate test, entirely in the browser
+        const features = this.lgaLayer.getSource().getFeaturesAtCoordinate(coordinate);
+        return features.find(feature => this.getFeatureCouncil(feature)) || null;
+    }
+
+    showCouncilAtLocation(longitude, latitude) {
+        const coordinate = ol.proj.fromLonLat([longitude, latitude]);
+        const feature = this.findFeatureAtCoordinate(coordinate);
+
+        if (!feature) {
+            this.showLocationMessage('Your location does not appear to be inside a NSW council area. Try searching for your suburb or postcode instead.');
+            return;
+        }
+
+        const council = this.getFeatureCouncil(feature);
+        this.highlightFeature(feature, coordinate);
+        this.zoomToCouncil(council.name);
+        this.showPopup(coordinate, council, { fromLocation: true });
+
+        console.log(`📍 Location matched to ${council.name}`);
+    }
+
+    highlightFeature(feature, coordinate) {
+        if (!this.highlightLayer) {
+            this.highlightLayer = new ol.layer.Vector({
+                source: new ol.source.Vector(),
+                zIndex: 10,
+                style: (highlight) => highlight.getGeometry().getType() === 'Point'
+                    ? new ol.style.Style({
+                        image: new ol.style.Circle({
+                            radius: 8,
+                            fill: new ol.style.Fill({ color: '#2d5a27' }),
+                            stroke: new ol.style.Stroke({ color: 'white', width: 3 })
+                        })
+                    })
+                    : new ol.style.Style({
+                        stroke: new ol.style.Stroke({ color: '#2d5a27', width: 3 })
+                    })
+            });
+            this.map.addLayer(this.highlightLayer);
+        }
+
+        const source = this.highlightLayer.getSource();
+        source.clear();
+        source.addFeatures([
+            new ol.Feature(feature.getGeometry().clone()),
+            new ol.Feature(new ol.geom.Point(coordinate))
+        ]);
+    }
+
+    setLocating(isLocating) {
+        document.querySelectorAll('.locate-btn, .locate-me-btn').forEach(button => {
+            button.disabled = isLocating;
+            button.classList.toggle('locating', isLocating);
+        });
+    }
+
+    showLocationMessage(message) {
+        const uiController = this.sgarTracker && this.sgarTracker.uiController;
+        if (uiController) {
+            uiController.showToast(message, 'warning');
+        } else {
+            console.warn(message);
+        }
+    }
+
     createLegend() {
         const legendElement = document.querySelector('.map-legend');
         if (legendElement) {
-            legendElement.innerHTML = `
-                <h4>SGAR Status</h4>
-                <div class="legend-item">
-                    <span class="legend-color" style="background-color: #EB493A;"></span>
-                    <span>Using SGARs</span>
-                </div>
-                <div class="legend-item">
-                    <span class="legend-color" style="background-color: #4CAF50;"></span>
-                    <span>SGAR-Free</span>
-                </div>
+            // Derive legend swatches from the same colours used to style the map
+            const items = CONSTANTS.SGAR_STATUSES.map(status => `
                 <div class="legend-item">
-                    <span class="legend-color" style="background-color: #FFA726;"></span>
-                    <span>Status Unknown</span>
+                    <span class="legend-color" style="background-color: ${this.getStatusColors(status).legend};"></span>
+                    <span>${formatCouncilStatus(status).text}</span>
                 </div>
+            `).join('');
+            
+            legendElement.innerHTML = `
+                <h4>SGAR Status</h4>
+                ${items}
             `;
         }
     }
@@ -623,6 +979,8 @@ export class MapController {
                 return;
             }
             
+            this.reportBoundaryMatches(features);
+            
             // Sample some feature names for debugging
             features.slice(0, 5).forEach((feature, index) => {
                 const properties = feature.getProperties();
@@ -634,12 +992,8 @@ export class MapController {
                     console.log('📝 First feature all properties:', properties);
                 }
                 
-                const name = feature.get('lga_name_2021') || feature.get('lga_name') || feature.get('LGA_NAME') || 
-                           feature.get('name') || feature.get('NAME') || feature.get('lga_nam11') || 
-                           feature.get('lga_name16') || feature.get('LGA_NAME22') || feature.get('lgaName') || 
-                           feature.get('LGA_NAM');
-                const council = this.findCouncilByName(name);
-                console.log(`🏛️ Feature ${index}: GIS name="${name}", Found council:`, council ? `${council.name} (${council.status})` : 'NOT FOUND');
+                const council = this.getFeatureCouncil(feature);
+                console.log(`🏛️ Feature ${index}: LGA code="${this.getFeatureCode(feature)}" name="${this.getFeatureName(feature)}", Found council:`, council ? `${council.name} (${council.status})` : 'NOT FOUND');
                 
                 // Check geometry
                 const geometry = feature.getGeometry();
@@ -661,9 +1015,115 @@ export class MapController {
             console.log('- Layer z-index:', this.lgaLayer.getZIndex());
         }
         
+        if (!this.adjacencyRequested) {
+            this.adjacencyRequested = true;
+            this.loadAdjacency();
+        }
+        
+        this.resolveBoundariesLoaded();
         this.updateMapData();
     }
 
+    /**
+     * Load the graph of councils that share a border. The bundled boundaries
+     * come with a graph built by scripts/build-lga-adjacency.mjs; for any other
+     * boundary data it's computed once the browser is idle and saved on the
+     * device, keyed by the boundary version or the remote data's hash.
+     */
+    async loadAdjacency() {
+        try {
+            this.adjacency = await this.fetchAdjacencyGraph();
+            if (this.adjacency) return;
+
+            const key = this.boundaryVersion || this.boundaryHash;
+            this.adjacency = loadAdjacencyGraph(key);
+            if (this.adjacency) {
+                console.log(`🧩 Using saved adjacency graph for boundaries ${key}`);
+                return;
+            }
+
+            await whenIdle();
+            const startTime = performance.now();
+            const areas = this.lgaLayer.getSource().getFeatures()
+                .map(feature => {
+                    const code = this.getFeatureCode(feature);
+                    const geometry = feature.getGeometry();
+                    if (!code || !geometry) return null;
+
+                    const polygons = geometry.getType() === 'MultiPolygon' ? geometry.getPolygons() : [geometry];
+                    const rings = polygons.flatMap(polygon => polygon.getLinearRings().map(ring => ring.getCoordinates()));
+                    return { code, rings };
+                })
+                .filter(Boolean);
+
+            this.adjacency = buildAdjacencyGraph(areas);
+            saveAdjacencyGraph(key, this.adjacency);
+            console.log(`🧩 Built adjacency graph for ${areas.length} LGAs in ${Math.round(performance.now() - startTime)}ms`);
+        } catch (error) {
+            logError(error, 'MapController.loadAdjacency');
+        } finally {
+            this.resolveAdjacencyLoaded();
+        }
+    }
+
+    /**
+     * Load the prebuilt adjacency graph, if it was built from the bundled boundaries
+     * @returns {Promise<Object|null>} Adjacency graph
+     */
+    async fetchAdjacencyGraph() {
+        if (!this.boundaryVersion) return null;
+
+        try {
+            const response = await fetch(`${ADJACENCY_URL}?v=${encodeURIComponent(this.boundaryVersion)}`);
+            if (!response.ok) {
+                throw new Error(`Failed to load adjacency graph: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (data.version !== this.boundaryVersion) {
+                console.warn(`🧩 Adjacency graph is for boundaries ${data.version}, not ${this.boundaryVersion}`);
+                return null;
+            }
+
+            console.log(`🧩 Loaded adjacency graph for boundaries ${data.version}`);
+            return data.graph;
+        } catch (error) {
+            logError(error, 'MapController.fetchAdjacencyGraph');
+            return null;
+        }
+    }
+
+    /**
+     * Resolves once LGA boundary features have loaded
+     * @returns {Promise<void>}
+     */
+    whenBoundariesLoaded() {
+        return this.boundariesLoaded;
+    }
+
+    /**
+     * Resolves once the adjacency graph is ready (or has failed to load)
+     * @returns {Promise<void>}
+     */
+    whenAdjacencyLoaded() {
+        return this.adjacencyLoaded;
+    }
+
+    /**
+     * Find councils whose boundaries touch the given council's boundary,
+     * from the adjacency graph loaded after the boundaries
+     * @param {Object} council - Council object
+     * @returns {Array} Neighbouring councils sorted by name
+     */
+    getNeighbouringCouncils(council) {
+        if (!this.adjacency || !council || !council.lgaCode) return [];
+
+        return (this.adjacency[council.lgaCode] || [])
+            .map(code => this.councilsByCode.get(code))
+            .filter(neighbour => neighbour && neighbour !== council)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
     updateMapData() {
         // Note: Removed refresh() call to prevent infinite loops
         // The layer should auto-update when data is loaded
@@ -677,43 +1137,15 @@ export class MapController {
         if (this.lgaLayer) {
             console.log('🗺️ Applying filters to map layer...');
             this.lgaLayer.setStyle((feature) => {
-                const councilName = feature.get('lga_name_2021') || feature.get('lga_name') || feature.get('LGA_NAME') || 
-                                  feature.get('name') || feature.get('NAME') || feature.get('lga_nam11') || 
-                                  feature.get('lga_name16') || feature.get('LGA_NAME22') || feature.get('lgaName') || 
-                                  feature.get('LGA_NAM');
-                const council = this.findCouncilByName(councilName);
+                const council = this.getFeatureCouncil(feature);
                 
                 if (!council) {
                     return this.getDefaultStyle();
                 }
 
-                // Apply filter logic
-                let shouldShow = true;
-                
-                // Status filter
-                if (filter && filter.status && filter.status.length > 0) {
-                    if (!filter.status.includes(council.status)) {
-                        shouldShow = false;
-                    }
-                }
-                
-                // Region filter
-                if (filter && filter.region && filter.region.length > 0) {
-                    if (!filter.region.includes(council.region)) {
-                        shouldShow = false;
-                    }
-                }
-                
-                // Search filter
-                if (filter && filter.search && filter.search.length > 0) {
-                    const searchTerm = filter.search.toLowerCase();
-                    const councilMatchesSearch = council.name.toLowerCase().includes(searchTerm) ||
-                                               (council.region && council.region.toLowerCase().includes(searchTerm)) ||
-                                               council.status.toLowerCase().includes(searchTerm);
-                    if (!councilMatchesSearch) {
-                        shouldShow = false;
-                    }
-                }
+                // Same rules as the grid and list views
+                const shouldShow = councilMatchesFilters(council, filter || {},
+                    this.sgarTracker ? this.sgarTracker.getFilterOptions() : {});
                 
                 // Hide councils that don't match any active filters
                 if (!shouldShow) {
@@ -725,17 +1157,18 @@ export class MapController {
         }
     }
 
-    zoomToCouncil(councilName) {
-        if (!this.lgaLayer) return;
+    getCouncilFeature(councilName) {
+        if (!this.lgaLayer) return null;
+
+        const council = this.councils.find(c => c.name.toUpperCase() === councilName.toUpperCase());
+        if (!council) return null;
 
         const features = this.lgaLayer.getSource().getFeatures();
-        const feature = features.find(f => {
-            const name = f.get('lga_name_2021') || f.get('lga_name') || f.get('LGA_NAME') || 
-                        f.get('name') || f.get('NAME') || f.get('lga_nam11') || 
-                        f.get('lga_name16') || f.get('LGA_NAME22') || f.get('lgaName') || 
-                        f.get('LGA_NAM');
-            return name && name.toUpperCase().includes(councilName.toUpperCase());
-        });
+        return features.find(f => this.getFeatureCouncil(f) === council) || null;
+    }
+
+    zoomToCouncil(councilName) {
+        const feature = this.getCouncilFeature(councilName);
 
         if (feature) {
             const extent = feature.getGeometry().getExtent();
@@ -746,6 +1179,33 @@ export class MapController {
         }
     }
 
+    /**
+     * Zoom to a council and open its popup inside the council boundary
+     * @param {string} councilName - Council name as shown in the app
+     */
+    showCouncil(councilName) {
+        const feature = this.getCouncilFeature(councilName);
+        if (!feature) return;
+
+        const council = this.getFeatureCouncil(feature);
+        this.zoomToCouncil(councilName);
+        this.showPopup(this.getFeatureAnchor(feature), council);
+    }
+
+    getFeatureAnchor(feature) {
+        const geometry = feature.getGeometry();
+
+        // Use the largest polygon so the popup sits on the council's main landmass
+        const polygon = geometry.getType() === 'MultiPolygon'
+            ? geometry.getPolygons().sort((a, b) => b.getArea() - a.getArea())[0]
+            : geometry;
+
+        if (polygon && polygon.getType() === 'Polygon') {
+            return polygon.getInteriorPoint().getCoordinates().slice(0, 2);
+        }
+        return ol.extent.getCenter(geometry.getExtent());
+    }
+
     resize() {
         // Handle responsive map resizing
         if (this.map) {
@@ -0,0 +1,260 @@
+/**
+ * Progress Page Module
+ * Personal letter-writing progress at #/progress, built from the local action log
+ */
+import { formatCouncilStatus, formatRecentDate, formatPartialDate, escapeHtml, slugify, CONSTANTS } from './utils.js';
+import { ACTION_CHANNELS, ACTION_SOURCES } from './action-log.js';
+
+export class ProgressPage {
+    constructor(app, actionLog, responseLog = null) {
+        this.app = app;
+        this.actionLog = actionLog;
+        this.responseLog = responseLog;
+        this.container = document.getElementById('progress-page');
+        this.defaultTitle = document.title;
+    }
+
+    show() {
+        if (!this.container) return;
+
+        if (this.app.selectedCouncil) {
+            this.app.closeCouncilDetailsModal();
+        }
+
+        this.container.innerHTML = this.render();
+        this.container.hidden = false;
+        document.body.classList.add('progress-page-active');
+        document.title = `My Progress - ${this.defaultTitle}`;
+        window.scrollTo(0, 0);
+    }
+
+    hide() {
+        if (!this.container || this.container.hidden) return;
+
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        document.body.classList.remove('progress-page-active');
+        document.title = this.defaultTitle;
+    }
+
+    render() {
+        const councils = this.app.councils;
+        const entries = this.actionLog.getEntries();
+        const contacted = this.actionLog.getContactedCouncilNames();
+        const contactedCount = councils.filter(council => contacted.has(council.name)).length;
+        const replyCount = this.responseLog ? this.responseLog.getEntries().length : 0;
+        const sessionCount = this.app.followUps ? this.app.followUps.getSessionEntries().length : 0;
+        const percentage = councils.length > 0 ? Math.round((contactedCount / councils.length) * 100) : 0;
+
+        const stillToContact = councils
+            .filter(council => formatCouncilStatus(council.status).usesSgars && !contacted.has(council.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return `
+            <nav class="council-page-nav">
+                <a href="#/" class="council-page-back">← All councils</a>
+            </nav>
+            <article class="council-page-article progress-page-article">
+                <header class="council-page-header">
+                    <h1 class="council-page-title">My letter-writing progress</h1>
+                    <p class="council-page-summary">
+                        Every letter you launch from this site is logged on this device only, so you can see who you've
+                        written to and avoid sending the same council two letters.
+                    </p>
+                    <div class="progress-bar-container" aria-label="${percentage}% of councils contacted">
+                        <div class="progress-bar" style="width: ${percentage}%"></div>
+                    </div>
+                    <div class="progress-page-stats">
+                        <div class="progress-page-stat"><strong>${contactedCount}</strong> of ${councils.length} councils contacted</div>
+                        <div class="progress-page-stat"><strong>${entries.length}</strong> ${entries.length === 1 ? 'action' : 'actions'} logged</div>
+                        <div class="progress-page-stat"><strong>${stillToContact.length}</strong> councils using SGARs still to contact</div>
+                        ${this.responseLog ? `
+                            <div class="progress-page-stat"><strong>${replyCount}</strong> ${replyCount === 1 ? 'reply' : 'replies'} logged</div>
+                        ` : ''}
+                    </div>
+                </header>
+                <div class="council-page-layout">
+                    <div class="council-page-main council-details-body">
+                        <div class="detail-section">
+                            <div class="detail-label">Your Activity</div>
+                            ${this.renderActivity(entries)}
+                        </div>
+                        ${this.responseLog ? `
+                            <div class="detail-section">
+                                <div class="detail-label">Replies You've Logged</div>
+                                ${this.renderReplies(this.responseLog.getEntries())}
+                            </div>
+                        ` : ''}
+                        <div class="detail-section">
+                            <div class="detail-label">Councils Using SGARs You Haven't Contacted</div>
+                            ${this.renderStillToContact(stillToContact)}
+                        </div>
+                    </div>
+                    <aside class="council-page-aside">
+                        <div class="detail-section">
+                            <div class="detail-label">By Status</div>
+                            ${this.renderStatusBreakdown(contacted)}
+                        </div>
+                        <div class="detail-section progress-page-actions">
+                            <button type="button" class="council-action-btn action-btn-success" onclick="progressPage.showNotContacted()">
+                                🔍 Show councils I haven't contacted
+                            </button>
+                            ${sessionCount > 0 ? `
+                                <button type="button" class="council-action-btn action-btn-secondary" onclick="followUps.downloadSessionReminders()">
+                                    📅 Follow-up reminders for this session (${sessionCount})
+                                </button>
+                            ` : ''}
+                            ${entries.length > 0 ? `
+                                <button type="button" class="compose-link-btn" onclick="progressPage.clearLog()">Clear my log</button>
+                            ` : ''}
+                        </div>
+                    </aside>
+                </div>
+            </article>
+        `;
+    }
+
+    renderActivity(entries) {
+        if (entries.length === 0) {
+            return '<p class="council-neighbours-empty">No letters logged yet. Use any "Take Action" button to get started.</p>';
+        }
+
+        const rows = entries.map(entry => `
+            <tr>
+                <td>${formatRecentDate(entry.date)}</td>
+                <td><a href="#/council/${slugify(entry.council)}">${entry.council}</a></td>
+                <td>${entry.template || '—'}</td>
+                <td>${ACTION_CHANNELS[entry.channel] || entry.channel}</td>
+                <td>${ACTION_SOURCES[entry.source] || entry.source}</td>
+                <td>
+                    <button type="button" class="compose-link-btn" title="Download a calendar reminder to follow up"
+                            onclick="followUps.downloadEntryReminder('${entry.date}', '${encodeURIComponent(entry.council)}')">
+                        📅 Remind me
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="progress-table-wrapper">
+                <table class="progress-table">
+                    <thead>
+                        <tr><th>Date</th><th>Council</th><th>Letter</th><th>Sent by</th><th>From</th><th><span class="sr-only">Follow up</span></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderReplies(entries) {
+        if (entries.length === 0) {
+            return '<p class="council-neighbours-empty">No replies logged yet. Use "I got a reply" on a council\'s page when one arrives.</p>';
+        }
+
+        const rows = entries.map(entry => {
+            const current = formatCouncilStatus(entry.currentStatus);
+            const suggested = formatCouncilStatus(entry.suggestedStatus);
+            return `
+                <tr>
+                    <td>${formatPartialDate(entry.replyDate)}</td>
+                    <td><a href="#/council/${slugify(entry.council)}">${entry.council}</a></td>
+                    <td>${escapeHtml(entry.summary)}</td>
+                    <td>${entry.suggestedStatus === entry.currentStatus
+                        ? 'No change'
+                        : `${current.icon} → ${suggested.icon} ${suggested.text}`}</td>
+                    <td>
+                        <button type="button" class="compose-link-btn" onclick="progressPage.removeReply('${entry.id}')">Remove</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="progress-table-wrapper">
+                <table class="progress-table">
+                    <thead>
+                        <tr><th>Replied</th><th>Council</th><th>Summary</th><th>Status</th><th><span class="sr-only">Remove</span></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <p class="compose-hint">
+                Send your replies to the maintainers so the tracker stays up to date.
+            </p>
+            <div class="progress-page-export">
+                <button type="button" class="council-action-btn action-btn-success" onclick="replyRecorder.downloadSubmission('json')">
+                    📥 Download replies (JSON)
+                </button>
+                <button type="button" class="council-action-btn action-btn-secondary" onclick="replyRecorder.downloadSubmission('csv')">
+                    📊 Download replies (CSV)
+                </button>
+            </div>
+        `;
+    }
+
+    renderStillToContact(councils) {
+        if (councils.length === 0) {
+            return '<p class="council-neighbours-empty">You have contacted every council known to use SGARs. Thank you!</p>';
+        }
+
+        return `
+            <ul class="council-neighbours">
+                ${councils.map(council => {
+                    const statusInfo = formatCouncilStatus(council.status);
+                    return `
+                        <li>
+                            <a href="#/council/${slugify(council.name)}" class="council-neighbour-link">
+                                <span class="council-neighbour-name">${council.name}</span>
+                                <span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
+                            </a>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    renderStatusBreakdown(contacted) {
+        const rows = CONSTANTS.SGAR_STATUSES.map(status => {
+            const councils = this.app.councils.filter(council => council.status === status);
+            if (councils.length === 0) return '';
+
+            const statusInfo = formatCouncilStatus(status);
+            const count = councils.filter(council => contacted.has(council.name)).length;
+            return `
+                <li class="progress-status-row">
+                    <span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
+                    <span>${count} / ${councils.length}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `<ul class="council-neighbours">${rows}</ul>`;
+    }
+
+    showNotContacted() {
+        this.app.restoreState({
+            filters: { ...this.app.filters, contact: 'not-contacted' },
+            view: this.app.currentView,
+            page: 1
+        });
+        window.location.hash = '#/';
+    }
+
+    removeReply(id) {
+        if (!this.responseLog || !window.confirm('Remove this reply from your log?')) return;
+
+        this.responseLog.remove(id);
+        this.show();
+    }
+
+    clearLog() {
+        if (!window.confirm('Remove every logged action from this device? This cannot be undone.')) return;
+
+        this.actionLog.clear();
+        this.app.showToast('Your action log has been cleared', 'info');
+        this.app.renderCouncils();
+        this.show();
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Region Taxonomies Module
+ * Loads the named ways of grouping councils into regions (campaign regions,
+ * Joint Organisations, electorates...) from data/regions.json and remembers
+ * which one the visitor is using
+ */
+import { getCouncilRegions, getStorageItem, setStorageItem, logError } from './utils.js';
+
+const TAXONOMY_STORAGE_KEY = 'sgar-region-taxonomy';
+
+export class RegionTaxonomies {
+    constructor() {
+        this.taxonomies = [];
+        this.defaultId = null;
+        this.currentId = null;
+    }
+
+    async init() {
+        try {
+            const response = await fetch('./data/regions.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load regions: ${response.status}`);
+            }
+            const data = await response.json();
+
+            // Taxonomies without any regions yet (e.g. awaiting a build) aren't offered
+            this.taxonomies = (data.taxonomies || [])
+                .filter(taxonomy => taxonomy.regions && Object.keys(taxonomy.regions).length > 0);
+            this.defaultId = this.getTaxonomy(data.defaultTaxonomy) ? data.defaultTaxonomy : null;
+            console.log(`🧭 Loaded ${this.taxonomies.length} region taxonomies`);
+        } catch (error) {
+            logError(error, 'RegionTaxonomies.init');
+            console.warn('Councils will not be grouped into regions');
+        }
+
+        if (!this.defaultId && this.taxonomies.length > 0) {
+            this.defaultId = this.taxonomies[0].id;
+        }
+
+        const saved = getStorageItem(TAXONOMY_STORAGE_KEY, null);
+        this.currentId = this.getTaxonomy(saved) ? saved : this.defaultId;
+    }
+
+    getTaxonomies() {
+        return this.taxonomies;
+    }
+
+    getTaxonomy(id = this.currentId) {
+        return this.taxonomies.find(taxonomy => taxonomy.id === id) || null;
+    }
+
+    /**
+     * Switch to another taxonomy and remember the choice on this device
+     * @param {string} id - Taxonomy id from data/regions.json
+     * @returns {boolean} False if there is no taxonomy with that id
+     */
+    setTaxonomy(id) {
+        if (!this.getTaxonomy(id)) return false;
+
+        this.currentId = id;
+        setStorageItem(TAXONOMY_STORAGE_KEY, id);
+        return true;
+    }
+
+    /**
+     * Regions a council belongs to in a taxonomy
+     * @param {string} councilName - Council name, in any case
+     * @param {string} id - Taxonomy id (default: the current taxonomy)
+     * @returns {Array<string>} Region names
+     */
+    getRegions(councilName, id = this.currentId) {
+        return getCouncilRegions(councilName, this.getTaxonomy(id));
+    }
+
+    /**
+     * The single named region a council belongs to in the default taxonomy.
+     * Letters use this so their wording doesn't change with the selected grouping.
+     * @param {string} councilName - Council name, in any case
+     * @returns {string} Region name, or '' if the council isn't in exactly one region
+     */
+    getLetterRegion(councilName) {
+        const taxonomy = this.getTaxonomy(this.defaultId);
+        if (!taxonomy) return '';
+
+        const regions = getCouncilRegions(councilName, taxonomy)
+            .filter(region => region in taxonomy.regions);
+        return regions.length === 1 ? regions[0] : '';
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Reply Recorder Module
+ * "I got a reply" form for logging a council's response, and the downloads
+ * that hand logged replies to the maintainers
+ */
+import {
+    formatCouncilStatus,
+    formatPartialDate,
+    escapeHtml,
+    downloadFile,
+    CONSTANTS
+} from './utils.js';
+
+const EXCERPT_MAX_LENGTH = 2000;
+
+// Date inputs take a local YYYY-MM-DD, which toISOString would shift to UTC
+function toDateInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export class ReplyRecorder {
+    constructor(app, responseLog) {
+        this.app = app;
+        this.responseLog = responseLog;
+        this.modal = document.getElementById('replyModal');
+        this.container = document.getElementById('replyContainer');
+        this.council = null;
+
+        this.setupModalControls();
+    }
+
+    setupModalControls() {
+        if (!this.modal) return;
+
+        const closeBtn = this.modal.querySelector('.modal-close-button');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.modal && this.modal.style.display === 'block');
+    }
+
+    open(council) {
+        if (!this.modal || !this.container) return;
+
+        this.council = council;
+        this.container.innerHTML = this.render(council);
+        this.modal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+
+        const firstField = this.container.querySelector('#reply-summary');
+        if (firstField) firstField.focus();
+    }
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.style.display = 'none';
+        this.container.innerHTML = '';
+        document.body.style.overflow = 'auto';
+        this.council = null;
+    }
+
+    render(council) {
+        const today = toDateInputValue(new Date());
+        const lastContact = this.app.actionLog ? this.app.actionLog.getLastContact(council.name) : null;
+
+        const statusOptions = CONSTANTS.SGAR_STATUSES.map(status => {
+            const statusInfo = formatCouncilStatus(status);
+            const label = status === council.status ? `${statusInfo.text} (no change)` : statusInfo.text;
+            return `<option value="${status}" ${status === council.status ? 'selected' : ''}>${statusInfo.icon} ${label}</option>`;
+        }).join('');
+
+        return `
+            <div class="compose-header">
+                <h2 class="compose-title" id="reply-title">Log a reply from ${council.name} Council</h2>
+                <p class="compose-recipient">
+                    Replies are saved on this device. Download them from
+                    <a href="#/progress" onclick="replyRecorder.close()">My Progress</a> and send the file to the maintainers
+                    so the tracker can be updated.
+                </p>
+            </div>
+            <form class="compose-letter reply-form" id="reply-form" onsubmit="replyRecorder.save(); return false;">
+                <label class="compose-label" for="reply-date">Date of the reply</label>
+                <input type="date" class="compose-input" id="reply-date" required max="${today}"
+                       min="${lastContact ? toDateInputValue(new Date(lastContact.date)) : ''}" value="${today}">
+
+                <label class="compose-label" for="reply-summary">What did they say?</label>
+                <input type="text" class="compose-input" id="reply-summary" required maxlength="300"
+                       placeholder="e.g. Council will stop using SGARs in parks from July">
+
+                <label class="compose-label" for="reply-excerpt">Paste the key part of their reply <span class="compose-optional">(optional)</span></label>
+                <textarea class="compose-input" id="reply-excerpt" rows="6" maxlength="${EXCERPT_MAX_LENGTH}"></textarea>
+
+                <label class="compose-label" for="reply-status">Based on this reply, the council's status should be</label>
+                <select class="compose-input" id="reply-status">${statusOptions}</select>
+
+                <div class="compose-actions">
+                    <button type="submit" class="council-action-btn action-btn-success">💾 Save reply</button>
+                    <button type="button" class="council-action-btn action-btn-secondary" onclick="replyRecorder.close()">Cancel</button>
+                </div>
+            </form>
+            ${this.renderCouncilReplies(council)}
+        `;
+    }
+
+    renderCouncilReplies(council) {
+        const entries = this.responseLog.getCouncilEntries(council.name);
+        if (entries.length === 0) return '';
+
+        return `
+            <div class="reply-history">
+                <h3 class="compose-section-title">Replies you've logged</h3>
+                <ul class="council-neighbours">
+                    ${entries.map(entry => `
+                        <li class="reply-history-item">
+                            <strong>${formatPartialDate(entry.replyDate)}</strong> - ${escapeHtml(entry.summary)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    save() {
+        if (!this.council) return;
+
+        const value = (id) => this.container.querySelector(id).value.trim();
+        const summary = value('#reply-summary');
+        const replyDate = value('#reply-date');
+
+        if (!summary || !replyDate) {
+            this.app.showToast('Add the date and a short summary of the reply', 'warning');
+            return;
+        }
+
+        const council = this.council;
+        const entry = this.responseLog.record({
+            council: council.name,
+            lgaCode: council.lgaCode,
+            replyDate,
+            summary,
+            excerpt: value('#reply-excerpt'),
+            currentStatus: council.status,
+            suggestedStatus: value('#reply-status')
+        });
+        console.log(`📬 Logged reply from ${council.name} (suggested status: ${entry.suggestedStatus})`);
+
+        this.close();
+        this.app.showToast(`Reply from ${council.name} Council saved`, 'success', 10000, [{
+            id: 'reply-submission',
+            label: '📥 Download for the maintainers',
+            handler: () => this.downloadSubmission()
+        }]);
+    }
+
+    /**
+     * Download logged replies for the maintainers
+     * @param {string} format - 'json' for the structured submission, 'csv' for a spreadsheet
+     */
+    downloadSubmission(format = 'json') {
+        if (this.responseLog.getEntries().length === 0) {
+            this.app.showToast('You haven\'t logged any replies yet', 'info');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'csv') {
+            downloadFile(this.responseLog.toCSV(), `sgar_council_replies_${date}.csv`, 'text/csv');
+        } else {
+            const submission = JSON.stringify(this.responseLog.toSubmission(), null, 4);
+            downloadFile(submission, `sgar_council_replies_${date}.json`, 'application/json');
+        }
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Response Log Module
+ * Keeps the replies volunteers receive from councils on this device and
+ * exports them as a submission file maintainers can merge into councils.json
+ */
+import { getStorageItem, setStorageItem, removeStorageItem, createCSV } from './utils.js';
+
+const RESPONSE_LOG_STORAGE_KEY = 'sgar-response-log';
+
+export const SUBMISSION_FORMAT = 'sgar-tracker-replies';
+export const SUBMISSION_VERSION = 1;
+
+export class ResponseLog {
+    constructor() {
+        const stored = getStorageItem(RESPONSE_LOG_STORAGE_KEY, []);
+        this.entries = Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Record a reply from a council
+     * @param {Object} reply - { council, lgaCode, replyDate, summary, excerpt, currentStatus, suggestedStatus }
+     * @returns {Object} The stored entry, with its id and recorded date
+     */
+    record({ council, lgaCode = null, replyDate, summary, excerpt = '', currentStatus, suggestedStatus }) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            council,
+            lgaCode,
+            replyDate,
+            summary,
+            excerpt,
+            currentStatus,
+            suggestedStatus: suggestedStatus || currentStatus,
+            recordedAt: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        return this.save();
+    }
+
+    save() {
+        return setStorageItem(RESPONSE_LOG_STORAGE_KEY, this.entries);
+    }
+
+    clear() {
+        this.entries = [];
+        return removeStorageItem(RESPONSE_LOG_STORAGE_KEY);
+    }
+
+    /**
+     * All replies, most recent reply first
+     * @returns {Array} Log entries
+     */
+    getEntries() {
+        return [...this.entries].sort((a, b) =>
+            b.replyDate.localeCompare(a.replyDate) || b.recordedAt.localeCompare(a.recordedAt)
+        );
+    }
+
+    getCouncilEntries(councilName) {
+        return this.getEntries().filter(entry => entry.council === councilName);
+    }
+
+    hasResponses(councilName) {
+        return this.entries.some(entry => entry.council === councilName);
+    }
+
+    /**
+     * Build the submission file. Each reply carries the history entry and
+     * source it would add to councils.json, so maintainers can review and
+     * paste them in; `councilKey` is the council's key in that file.
+     * @returns {Object} Submission ready for JSON.stringify
+     */
+    toSubmission() {
+        return {
+            format: SUBMISSION_FORMAT,
+            version: SUBMISSION_VERSION,
+            exportedAt: new Date().toISOString(),
+            responses: this.getEntries().map(entry => ({
+                council: entry.council,
+                councilKey: entry.council.toUpperCase(),
+                lgaCode: entry.lgaCode,
+                replyDate: entry.replyDate,
+                summary: entry.summary,
+                excerpt: entry.excerpt,
+                currentStatus: entry.currentStatus,
+                suggestedStatus: entry.suggestedStatus,
+                recordedAt: entry.recordedAt,
+                proposed: {
+                    history: entry.suggestedStatus !== entry.currentStatus ? {
+                        date: entry.replyDate,
+                        from: entry.currentStatus,
+                        to: entry.suggestedStatus,
+                        note: entry.summary
+                    } : null,
+                    source: {
+                        type: 'email',
+                        date: entry.replyDate,
+                        title: `Reply from ${entry.council} Council`,
+                        quote: entry.excerpt || entry.summary
+                    }
+                }
+            }))
+        };
+    }
+
+    /**
+     * Same replies as a flat CSV for spreadsheet review
+     * @returns {string} CSV formatted string
+     */
+    toCSV() {
+        const headers = ['council', 'lgaCode', 'replyDate', 'currentStatus', 'suggestedStatus', 'summary', 'excerpt', 'recordedAt'];
+        const rows = this.getEntries().map(entry => headers.map(header => entry[header]));
+        return createCSV(headers, rows);
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Router Module
+ * Minimal hash router for bookmarkable client-side pages such as #/council/<slug>
+ */
+export class Router {
+    constructor() {
+        this.routes = [];
+        this.defaultHandler = null;
+        this.currentPath = null;
+    }
+
+    /**
+     * Register a route. Segments starting with ":" become named parameters.
+     * @param {string} pattern - Route pattern, e.g. '/council/:slug'
+     * @param {Function} handler - Called with the matched parameters
+     * @returns {Router} This router, for chaining
+     */
+    on(pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+
+        this.routes.push({ regex: new RegExp(`^${source}/?$`), keys, handler });
+        return this;
+    }
+
+    /**
+     * Register the handler used when no route matches (including the home page)
+     * @param {Function} handler - Called with the unmatched path
+     * @returns {Router} This router, for chaining
+     */
+    otherwise(handler) {
+        this.defaultHandler = handler;
+        return this;
+    }
+
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    getPath() {
+        // Plain anchors such as #council-search are not routes
+        const hash = window.location.hash;
+        return hash.startsWith('#/') ? hash.slice(1) : '/';
+    }
+
+    resolve() {
+        const path = this.getPath();
+        this.currentPath = path;
+
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                });
+                route.handler(params);
+                return;
+            }
+        }
+
+        if (this.defaultHandler) {
+            this.defaultHandler(path);
+        }
+    }
+
+    navigate(path) {
+        window.location.hash = `#${path}`;
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Search Index Module
+ * Local full-text index over council names, official names, regions,
+ * statuses, notes, products and sources for the council search box.
+ * Matches tolerate typos and hyphens, and results are ranked by where and
+ * how well each term matched.
+ */
+import {
+    formatCouncilStatus,
+    normalizeSearchWord,
+    splitSearchWords,
+    levenshteinDistance,
+    parseSearchQuery,
+    highlightWords,
+    truncateText
+} from './utils.js';
+
+// Field prefixes the search box understands, with the index field each searches
+const FIELD_PREFIXES = {
+    name: ['name', 'alias'],
+    alias: ['alias'],
+    region: ['region'],
+    status: ['status'],
+    ingredient: ['ingredient'],
+    product: ['product'],
+    notes: ['notes'],
+    note: ['notes'],
+    source: ['source'],
+    sources: ['source']
+};
+
+// How much a match in each field counts towards a council's rank
+const FIELD_WEIGHTS = {
+    name: 10,
+    alias: 8,
+    region: 4,
+    status: 4,
+    ingredient: 3,
+    product: 3,
+    notes: 2,
+    source: 1.5
+};
+
+const FIELD_LABELS = {
+    alias: 'Official name',
+    region: 'Region',
+    ingredient: 'Ingredient',
+    product: 'Product',
+    source: 'Source'
+};
+
+// Exact word, word prefix, or a word within the allowed number of typos
+const EXACT_SCORE = 3;
+const PREFIX_SCORE = 2;
+const FUZZY_SCORE = 1;
+const SNIPPET_LENGTH = 140;
+
+function allowedTypos(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+export class SearchIndex {
+    /**
+     * @param {Array} councils - Council objects from SGARTracker
+     * @param {Object} nameMapping - council_name_mapping.json, for official names (optional)
+     */
+    constructor(councils, nameMapping = null) {
+        this.councils = councils;
+        this.nameMapping = nameMapping || {};
+        this.documents = new Map();
+        this.cache = { query: null, results: null };
+        this.build();
+    }
+
+    /**
+     * (Re)build the index, e.g. after councils move to another region taxonomy
+     */
+    build() {
+        this.documents.clear();
+        this.cache = { query: null, results: null };
+
+        this.councils.forEach(council => {
+            const mapped = this.nameMapping[council.name.toUpperCase()];
+            const products = council.products || [];
+            const values = {
+                name: [council.name],
+                alias: mapped && mapped.name ? [mapped.name] : [],
+                region: council.regions || [council.region],
+                status: [formatCouncilStatus(council.status).text],
+                ingredient: (council.ingredients || []).map(ingredient => ingredient.name),
+                product: products.map(product => product.name).filter(Boolean),
+                notes: [council.notes, ...(council.history || []).map(entry => entry.note)].filter(Boolean),
+                source: (council.sources || []).flatMap(source => [source.title, source.quote]).filter(Boolean)
+            };
+
+            // Each value keeps its words so phrases can be matched in order
+            const fields = {};
+            Object.entries(values).forEach(([field, texts]) => {
+                fields[field] = texts.map(text => ({ text, words: splitSearchWords(text) }));
+            });
+            this.documents.set(council.name, fields);
+        });
+
+        console.log(`🔎 Indexed ${this.documents.size} councils for search`);
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Text typed by the user
+     * @returns {Map|null} Council name to { score, highlights, snippets } for
+     *   councils matching every term, or null for an empty query
+     */
+    search(query) {
+        const trimmed = String(query || '').trim();
+        if (this.cache.query === trimmed) return this.cache.results;
+
+        const terms = parseSearchQuery(trimmed, Object.keys(FIELD_PREFIXES));
+        let results = null;
+
+        if (terms.length > 0) {
+            results = new Map();
+            this.documents.forEach((fields, name) => {
+                const result = this.scoreDocument(fields, terms);
+                if (result) results.set(name, result);
+            });
+        }
+
+        this.cache = { query: trimmed, results };
+        return results;
+    }
+
+    /**
+     * Whether a council matches the query (every council matches an empty one)
+     * @param {string} councilName - Council name as shown in the app
+     * @param {string} query - Text typed by the user
+     * @returns {boolean}
+     */
+    matches(councilName, query) {
+        const results = this.search(query);
+        return !results || results.has(councilName);
+    }
+
+    getResult(councilName, query) {
+        const results = this.search(query);
+        return results ? results.get(councilName) || null : null;
+    }
+
+    /**
+     * Text with the words that matched the query marked
+     * @param {string} councilName - Council the text belongs to
+     * @param {string} text - Plain text, e.g. the council's name or notes
+     * @param {string} query - Text typed by the user
+     * @returns {string} Escaped HTML
+     */
+    highlight(councilName, text, query) {
+        const result = this.getResult(councilName, query);
+        return highlightWords(text, result ? result.highlights : []);
+    }
+
+    scoreDocument(fields, terms) {
+        const highlights = [];
+        const matchedFields = new Set();
+        let total = 0;
+
+        for (const term of terms) {
+            const searchFields = term.field ? FIELD_PREFIXES[term.field] : Object.keys(FIELD_WEIGHTS);
+            let best = 0;
+
+            searchFields.forEach(field => {
+                fields[field].forEach(value => {
+                    const match = term.phrase
+                        ? this.matchPhrase(value.words, term.words)
+                        : this.matchWord(value.words, term.words);
+                    if (!match) return;
+
+                    highlights.push(...match.words);
+                    matchedFields.add(field);
+                    best = Math.max(best, match.score * FIELD_WEIGHTS[field]);
+                });
+            });
+
+            // Every term has to match somewhere
+            if (best === 0) return null;
+            total += best;
+        }
+
+        return {
+            score: total,
+            highlights,
+            snippets: this.getSnippets(fields, matchedFields, highlights)
+        };
+    }
+
+    /**
+     * Match a typed word against a value. A hyphenated query word such as
+     * "ku-ring-gai" arrives as one normalised word, so it also matches the
+     * joined form; several unquoted words are each matched on their own.
+     */
+    matchWord(valueWords, termWords) {
+        let best = null;
+
+        termWords.forEach(termWord => {
+            const typos = allowedTypos(termWord);
+
+            valueWords.forEach(word => {
+                // Parts of hyphenated words are searchable too: "gai" finds "Ku-ring-gai"
+                const keys = [word.key, ...word.text.split(/['’-]/).map(normalizeSearchWord)];
+                let score = 0;
+
+                if (keys.includes(termWord)) {
+                    score = EXACT_SCORE;
+                } else if (termWord.length >= 2 && keys.some(key => key.startsWith(termWord))) {
+                    score = PREFIX_SCORE;
+                } else if (typos > 0 && levenshteinDistance(word.key, termWord, typos) <= typos) {
+                    score = FUZZY_SCORE;
+                }
+
+                if (score === 0) return;
+                if (!best || score > best.score) best = { score, words: [] };
+                if (score === best.score) best.words.push(word.text);
+            });
+        });
+
+        return best;
+    }
+
+    // Quoted phrases match consecutive words; the last one may be unfinished
+    matchPhrase(valueWords, termWords) {
+        const keys = valueWords.map(word => word.key);
+
+        for (let i = 0; i + termWords.length <= keys.length; i++) {
+            const matches = termWords.every((termWord, offset) => {
+                const key = keys[i + offset];
+                return offset === termWords.length - 1 ? key.startsWith(termWord) : key === termWord;
+            });
+
+            if (matches) {
+                return {
+                    score: EXACT_SCORE,
+                    words: valueWords.slice(i, i + termWords.length).map(word => word.text)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // Matches in fields the cards don't show, so it's clear why a council is listed
+    getSnippets(fields, matchedFields, highlights) {
+        return Object.keys(FIELD_LABELS)
+            .filter(field => matchedFields.has(field))
+            .map(field => {
+                const value = fields[field].find(item => item.words.some(word => highlights.includes(word.text)));
+                if (!value) return null;
+
+                // Start the snippet near the first match
+                const firstMatch = value.words.find(word => highlights.includes(word.text));
+                const start = Math.max(0, value.text.indexOf(firstMatch.text) - 40);
+                const text = (start > 0 ? '...' : '') + truncateText(value.text.slice(start), SNIPPET_LENGTH);
+
+                return { field, label: FIELD_LABELS[field], html: highlightWords(text, highlights) };
+            })
+            .filter(Boolean);
+    }
+}
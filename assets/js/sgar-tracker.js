@@ -4,77 +4,175 @@
  */
 import { 
     titleCase, 
+    slugify,
     formatCouncilStatus, 
+    getStatusForFilterValue,
+    calculateCouncilStats,
+    filterCouncils,
+    countFilterOptions,
+    sortCouncils,
+    formatPartialDate,
+    formatRecentDate,
+    formatPercentage,
+    escapeHtml,
+    formatList,
+    pluralize,
+    formatSourceType,
+    getSourceHref,
+    getIngredientClass,
+    getCouncilIngredients,
+    buildProductReference,
+    CONSTANTS,
+    getCurrentStatus,
+    getLastStatusChange,
+    sortStatusHistory,
     debounce, 
     logError, 
     safeExecute,
     generateCSV,
-    downloadFile
+    downloadFile,
+    getStorageItem,
+    setStorageItem,
+    removeStorageItem
 } from './utils.js';
-
-// Helper function to assign regions to councils
-function getCouncilRegion(councilName) {
-    const regions = {
-        'Hunter': ['CENTRAL COAST', 'CESSNOCK', 'DUNGOG', 'LAKE MACQUARIE', 'MAITLAND', 'MUSWELLBROOK', 'NEWCASTLE', 'PORT STEPHENS', 'SINGLETON', 'UPPER HUNTER'],
-        'Illawarra': ['KIAMA', 'SHELLHARBOUR', 'SHOALHAVEN', 'WINGECARRIBEE', 'WOLLONDILLY', 'WOLLONGONG'],
-        'Metro North': ['HORNSBY', 'HUNTERS HILL', 'KU-RING-GAI', 'LANE COVE', 'MOSMAN', 'NORTH SYDNEY', 'NORTHERN BEACHES', 'RYDE', 'THE HILLS SHIRE', 'WILLOUGHBY'],
-        'Metro South': ['BAYSIDE', 'BURWOOD', 'CANADA BAY', 'CANTERBURY-BANKSTOWN', 'GEORGES RIVER', 'INNER WEST', 'RANDWICK', 'STRATHFIELD', 'SUTHERLAND SHIRE', 'SYDNEY', 'WAVERLEY', 'WOOLLAHRA'],
-        'Metro West': ['BLACKTOWN', 'BLUE MOUNTAINS', 'CAMDEN', 'CAMPBELLTOWN', 'CITY OF PARRAMATTA', 'CUMBERLAND', 'FAIRFIELD', 'HAWKESBURY', 'LIVERPOOL', 'PENRITH'],
-        'Mid North Coast': ['BELLINGEN', 'COFFS HARBOUR', 'KEMPSEY', 'MID-COAST', 'NAMBUCCA VALLEY', 'PORT MACQUARIE-HASTINGS'],
-        'North Coast': ['BALLINA', 'BYRON', 'CLARENCE VALLEY', 'KYOGLE', 'LISMORE', 'RICHMOND VALLEY', 'TWEED'],
-        'Northern Inland': ['ARMIDALE REGIONAL', 'GLEN INNES SEVERN', 'GUNNEDAH', 'GWYDIR', 'INVERELL', 'LIVERPOOL PLAINS', 'MOREE PLAINS', 'NARRABRI', 'TAMWORTH REGIONAL', 'TENTERFIELD', 'URALLA', 'WALCHA'],
-        'Central West': ['BATHURST REGIONAL', 'BLAYNEY', 'CABONNE', 'COWRA', 'FORBES', 'LACHLAN', 'LITHGOW CITY', 'OBERON', 'ORANGE', 'PARKES', 'WEDDIN'],
-        'Orana': ['BOGAN', 'BOURKE', 'BREWARRINA', 'BROKEN HILL', 'CENTRAL DARLING', 'COBAR', 'COONAMBLE', 'DUBBO REGIONAL', 'GILGANDRA', 'MID-WESTERN REGIONAL', 'NARROMINE', 'WALGETT', 'WARREN', 'WARRUMBUNGLE'],
-        'South East': ['BEGA VALLEY', 'EUROBODALLA', 'GOULBURN MULWAREE', 'QUEANBEYAN-PALERANG REGIONAL', 'SNOWY MONARO REGIONAL', 'UPPER LACHLAN SHIRE', 'YASS VALLEY'],
-        'South West': ['ALBURY CITY', 'BALRANALD', 'BERRIGAN', 'BLAND', 'CARRATHOOL', 'COOLAMON', 'COOTAMUNDRA-GUNDAGAI REGIONAL', 'EDWARD RIVER', 'FEDERATION', 'GREATER HUME SHIRE', 'GRIFFITH', 'HAY', 'HILLTOPS', 'JUNEE', 'LEETON', 'LOCKHART', 'MURRAY RIVER', 'MURRUMBIDGEE', 'NARRANDERA', 'SNOWY VALLEYS', 'TEMORA', 'WAGGA WAGGA', 'WENTWORTH']
-    };
-
-    const upperName = councilName.toUpperCase();
-    for (const [region, councils] of Object.entries(regions)) {
-        if (councils.includes(upperName)) {
-            return region;
-        }
-    }
-    return "Other"; // Default fallback
-}
+import { ComparePage, COMPARE_MIN, COMPARE_MAX } from './compare-page.js';
+
+const SENDER_PROFILE_STORAGE_KEY = 'sgar-sender-profile';
+const SORT_STORAGE_KEY = 'sgar-council-sort';
+
+// Sort choices for the grid and list views, as <sort key>:<direction>
+const SORT_OPTIONS = [
+    { value: 'name:asc', label: 'Name (A-Z)' },
+    { value: 'name:desc', label: 'Name (Z-A)' },
+    { value: 'status:asc', label: 'Status (Using SGARs first)' },
+    { value: 'status:desc', label: 'Status (SGAR-free first)' },
+    { value: 'region:asc', label: 'Region' },
+    { value: 'lastUpdated:desc', label: 'Most recently changed' },
+    { value: 'lastUpdated:asc', label: 'Least recently changed' },
+    { value: 'daysSinceContact:desc', label: 'Longest since you wrote' },
+    { value: 'daysSinceContact:asc', label: 'Most recently written to' },
+    { value: 'sgarIngredients:desc', label: 'Most SGAR ingredients' },
+    { value: 'sgarIngredients:asc', label: 'Fewest SGAR ingredients' }
+];
+const DEFAULT_SORT = { primary: 'name:asc', secondary: '' };
 
 export class SGARTracker {
-    constructor(councilData) {
-        // Transform council data to expected format with regions
+    constructor(councilData, regionTaxonomies = null) {
+        this.regionTaxonomies = regionTaxonomies;
+        
+        // Transform council data to expected format
         this.councils = Object.entries(councilData).map(([name, data]) => ({
             name: titleCase(name),
-            status: data.sgars,
+            lgaCode: data.lgaCode || null,
+            status: getCurrentStatus(data.history),
             notes: data.notes,
             contactEmail: data.email,
-            region: getCouncilRegion(name),
-            lastUpdated: "2025-01-22"
+            history: sortStatusHistory(data.history),
+            sources: data.sources || [],
+            products: data.products || [],
+            ingredients: getCouncilIngredients(data.products),
+            phaseOutBy: data.phaseOutBy || null,
+            lastUpdated: getLastStatusChange(data.history)
         }));
+        this.assignRegions();
         
         this.currentView = 'map';
         this.filters = {
             status: [],
             region: [],
+            regionMode: 'any',
+            ingredient: [],
             search: '',
+            contact: '',
             quickFilter: null
         };
+        this.sort = this.loadSort();
         this.pagination = {
             currentPage: 1,
             cardsPerPage: this.getCardsPerPage(),
             totalPages: 1
         };
+        this.selectedCouncil = null;
         this.mapController = null;
         this.uiController = null;
+        this.urlState = null;
+        this.emailTemplates = null;
+        this.letterComposer = null;
+        this.actionLog = null;
+        this.followUps = null;
+        this.replyRecorder = null;
+        this.searchIndex = null;
+        this.compareSelection = [];
         this.init();
     }
 
+    /**
+     * Set each council's regions from the current taxonomy. `regions` lists
+     * every region the council is in; `region` is the same list for display.
+     */
+    assignRegions() {
+        this.councils.forEach(council => {
+            council.regions = this.regionTaxonomies
+                ? this.regionTaxonomies.getRegions(council.name)
+                : ['Other'];
+            council.region = council.regions.join(', ');
+        });
+    }
+
+    // Region given to councils the current taxonomy doesn't list
+    getOtherRegionLabel() {
+        const taxonomy = this.regionTaxonomies && this.regionTaxonomies.getTaxonomy();
+        return (taxonomy && taxonomy.otherLabel) || 'Other';
+    }
+
+    getRegionTaxonomyLabel() {
+        const taxonomy = this.regionTaxonomies && this.regionTaxonomies.getTaxonomy();
+        return taxonomy ? taxonomy.label : 'Region';
+    }
+
+    /**
+     * Group councils by another region taxonomy. The region filter is
+     * cleared because its regions belong to the previous taxonomy.
+     * @param {string} id - Taxonomy id from data/regions.json
+     */
+    setRegionTaxonomy(id) {
+        if (!this.applyRegionTaxonomy(id)) return;
+
+        this.filters.region = [];
+        this.syncFilterControls();
+        this.renderCouncils();
+
+        if (this.mapController) {
+            this.mapController.applyFilter(this.filters);
+        }
+
+        this.updateClearFiltersVisibility();
+        this.updateFilteredResultsCounter();
+        console.log(`🧭 Grouping councils by ${this.getRegionTaxonomyLabel()}`);
+    }
+
+    // Recompute regions and the controls and stats that show them
+    applyRegionTaxonomy(id) {
+        if (!this.regionTaxonomies || !this.regionTaxonomies.setTaxonomy(id)) return false;
+
+        this.assignRegions();
+        if (this.searchIndex) this.searchIndex.build();
+        this.populateTaxonomyDropdown();
+        this.renderFilterChips();
+        this.updateRegionStats();
+        return true;
+    }
+
     init() {
         this.updateStats();
         this.animateNumbers();
         this.setupEventListeners();
         this.setupUnifiedSearch();
         this.setupViewToggle();
+        this.setupSortControls();
         this.setupPagination();
         this.setupProfessionalFilters();
+        this.renderProductReference();
         this.initModalControls();
         
         // Set initial view to map
@@ -107,21 +205,23 @@ export class SGARTracker {
     }
 
     updateStats() {
-        const stats = {
-            total: this.councils.length,
-            usingSgars: this.councils.filter(c => c.status === 'Yes').length,
-            sgarFree: this.councils.filter(c => c.status === 'No').length,
-            unknown: this.councils.filter(c => c.status === 'Unknown').length
-        };
+        const stats = calculateCouncilStats(this.councils);
 
         // Update stat values with correct IDs
-        const usingSgarsEl = document.getElementById('councils-using-sgars');
-        const sgarFreeEl = document.getElementById('sgar-free-councils');
-        const unknownEl = document.getElementById('unknown-status');
+        const statElements = {
+            'councils-using-sgars': stats.usingSgars,
+            'contractor-only-councils': stats.contractorOnly,
+            'partial-use-councils': stats.partialUse,
+            'committed-councils': stats.committed,
+            'transitioning-councils': stats.transitioning,
+            'sgar-free-councils': stats.sgarFree,
+            'unknown-status': stats.unknown
+        };
         
-        if (usingSgarsEl) usingSgarsEl.setAttribute('data-count', stats.usingSgars);
-        if (sgarFreeEl) sgarFreeEl.setAttribute('data-count', stats.sgarFree);
-        if (unknownEl) unknownEl.setAttribute('data-count', stats.unknown);
+        Object.entries(statElements).forEach(([id, count]) => {
+            const el = document.getElementById(id);
+            if (el) el.setAttribute('data-count', count);
+        });
 
         // Update filter counts
         const filterDangerEl = document.getElementById('filter-count-danger');
@@ -137,6 +237,36 @@ export class SGARTracker {
         
         // Update professional results counter
         this.updateResultsCounter(stats.total, stats.total);
+        
+        this.updateRegionStats(stats);
+    }
+
+    /**
+     * SGAR-free councils in each region of the current taxonomy
+     * @param {Object} stats - Output of calculateCouncilStats (default: recalculated)
+     */
+    updateRegionStats(stats = calculateCouncilStats(this.councils)) {
+        const container = document.getElementById('region-stats');
+        if (!container) return;
+
+        const otherLabel = this.getOtherRegionLabel();
+        const regions = [...stats.byRegion]
+            .sort((a, b) => (a.region === otherLabel) - (b.region === otherLabel) || a.region.localeCompare(b.region));
+
+        container.innerHTML = `
+            <h2 class="region-stats-title">SGAR-free councils by ${escapeHtml(this.getRegionTaxonomyLabel().toLowerCase())}</h2>
+            <ul class="region-stats-list">
+                ${regions.map(({ region, total, sgarFree }) => `
+                    <li class="region-stats-item">
+                        <span class="region-stats-name" title="${escapeHtml(region)}">${escapeHtml(region)}</span>
+                        <span class="region-stats-bar" aria-hidden="true">
+                            <span class="region-stats-fill" style="width: ${total ? Math.round((sgarFree / total) * 100) : 0}%"></span>
+                        </span>
+                        <span class="region-stats-count">${sgarFree} of ${total} (${formatPercentage(sgarFree, total, 0)})</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
     }
 
     animateNumbers() {
@@ -195,7 +325,10 @@ export class SGARTracker {
         this.filters = {
             status: [],
             region: [],
+            regionMode: 'any',
+            ingredient: [],
             search: '',
+            contact: '',
             quickFilter: filterType
         };
         this.pagination.currentPage = 1;
@@ -205,20 +338,10 @@ export class SGARTracker {
             btn.classList.toggle('active', btn.getAttribute('data-filter') === filterType);
         });
 
-        switch(filterType) {
-            case 'using-sgars':
-                this.filters.status = ['Yes'];
-                break;
-            case 'sgar-free':
-                this.filters.status = ['No'];
-                break;
-            case 'unknown':
-                this.filters.status = ['Unknown'];
-                break;
-            case 'all':
-            default:
-                // Show all councils
-                break;
+        // 'all' (or any unrecognised value) shows all councils
+        const status = getStatusForFilterValue(filterType);
+        if (status) {
+            this.filters.status = [status];
         }
 
         this.renderCouncils();
@@ -272,6 +395,10 @@ export class SGARTracker {
             btn.classList.toggle('active', btn.getAttribute('data-view') === view);
         });
         
+        // Sorting only applies to the grid and list views
+        const sortControls = document.getElementById('sort-controls');
+        if (sortControls) sortControls.hidden = view === 'map';
+        
         // Get all necessary elements
         const councilsContainer = document.getElementById('councils-container');
         const mapSection = document.getElementById('map-section');
@@ -410,13 +537,112 @@ export class SGARTracker {
         }
         
         console.log(`✅ View switch to ${view} complete`);
+        this.notifyStateChange();
+    }
+
+    loadSort() {
+        const saved = getStorageItem(SORT_STORAGE_KEY, null) || {};
+        const isOption = (value) => SORT_OPTIONS.some(option => option.value === value);
+
+        return {
+            primary: isOption(saved.primary) ? saved.primary : DEFAULT_SORT.primary,
+            secondary: isOption(saved.secondary) ? saved.secondary : DEFAULT_SORT.secondary
+        };
+    }
+
+    setupSortControls() {
+        const primarySelect = document.getElementById('sort-primary');
+        const secondarySelect = document.getElementById('sort-secondary');
+        if (!primarySelect || !secondarySelect) return;
+
+        const options = SORT_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+        primarySelect.innerHTML = options;
+        secondarySelect.innerHTML = `<option value="">Nothing else</option>${options}`;
+        primarySelect.value = this.sort.primary;
+        secondarySelect.value = this.sort.secondary;
+
+        primarySelect.addEventListener('change', () => this.setSort(primarySelect.value, secondarySelect.value));
+        secondarySelect.addEventListener('change', () => this.setSort(primarySelect.value, secondarySelect.value));
+    }
+
+    /**
+     * Change the grid and list order and remember it on this device
+     * @param {string} primary - Sort option value, e.g. 'status:asc'
+     * @param {string} secondary - Option used to break ties, or '' for none
+     */
+    setSort(primary, secondary = '') {
+        this.sort = { primary, secondary };
+        setStorageItem(SORT_STORAGE_KEY, this.sort);
+        this.pagination.currentPage = 1;
+        this.renderCouncils();
+    }
+
+    /**
+     * The current sort as sortCouncils keys. A secondary sort on the same
+     * key as the primary would never apply, so it is dropped.
+     * @returns {Array} [{ key, direction }]
+     */
+    getSortKeys() {
+        const [primary, secondary] = [this.sort.primary, this.sort.secondary]
+            .filter(Boolean)
+            .map(value => {
+                const [key, direction] = value.split(':');
+                return { key, direction };
+            });
+
+        return secondary && secondary.key !== primary.key ? [primary, secondary] : [primary];
+    }
+
+    getSortedCouncils() {
+        const sorted = sortCouncils(this.getFilteredCouncils(), this.getSortKeys(), 'asc', {
+            getLastContact: (council) => {
+                const entry = this.actionLog ? this.actionLog.getLastContact(council.name) : null;
+                return entry ? entry.date : null;
+            }
+        });
+
+        // Best search matches first; the chosen sort breaks ties
+        const results = this.getSearchResults();
+        if (!results) return sorted;
+        return sorted.sort((a, b) => results.get(b.name).score - results.get(a.name).score);
+    }
+
+    // Ranked search index results for the current search, or null without one
+    getSearchResults() {
+        return this.searchIndex && this.filters.search
+            ? this.searchIndex.search(this.filters.search)
+            : null;
+    }
+
+    // Council text with the words matching the current search marked, as HTML
+    highlightSearch(council, text) {
+        return this.getSearchResults()
+            ? this.searchIndex.highlight(council.name, text, this.filters.search)
+            : escapeHtml(text || '');
+    }
+
+    // Why a council matched when the match isn't in its name or notes
+    createSearchSnippets(council) {
+        const results = this.getSearchResults();
+        const result = results ? results.get(council.name) : null;
+        if (!result || result.snippets.length === 0) return '';
+
+        return `
+            <ul class="search-snippets">
+                ${result.snippets.map(snippet => `
+                    <li class="search-snippet">
+                        <span class="search-snippet-label">${escapeHtml(snippet.label)}:</span> ${snippet.html}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
     }
 
     renderCouncils() {
         const container = document.getElementById('councils-container');
         if (!container) return;
 
-        const filteredCouncils = this.getFilteredCouncils();
+        const filteredCouncils = this.getSortedCouncils();
         
         // Update pagination info
         this.pagination.totalPages = Math.ceil(filteredCouncils.length / this.pagination.cardsPerPage);
@@ -446,70 +672,86 @@ export class SGARTracker {
         
         // Update pagination controls
         this.updatePaginationControls(filteredCouncils.length);
+        
+        // Option counts depend on the other filters
+        this.renderFilterChips();
+        
+        this.notifyStateChange();
     }
 
     getFilteredCouncils() {
-        return this.councils.filter(council => {
-            // Status filter
-            if (this.filters.status.length > 0 && !this.filters.status.includes(council.status)) {
-                return false;
-            }
-            
-            // Region filter
-            if (this.filters.region.length > 0 && !this.filters.region.includes(council.region)) {
-                return false;
-            }
-            
-            // Search filter
-            if (this.filters.search) {
-                const searchTerm = this.filters.search.toLowerCase();
-                return council.name.toLowerCase().includes(searchTerm) ||
-                       council.region.toLowerCase().includes(searchTerm) ||
-                       council.notes.toLowerCase().includes(searchTerm);
-            }
-            
-            return true;
-        });
+        return filterCouncils(this.councils, this.filters, this.getFilterOptions());
     }
 
-    createActionButton(council) {
+    // Lets the shared filter rules check the local action log and search index
+    getFilterOptions() {
+        const options = { hasContacted: (name) => this.hasContacted(name) };
+        if (this.searchIndex) {
+            options.matchesSearch = (council) => this.searchIndex.matches(council.name, this.filters.search);
+        }
+        return options;
+    }
+
+    createActionButton(council, source = 'card') {
         const { status, contactEmail, name } = council;
         
         // Define button properties based on status
-        let buttonText, buttonClass, subject, body, ariaLabel;
+        let buttonText, buttonClass, ariaLabel;
         
         switch (status) {
             case 'Yes': // Using SGARs
                 buttonText = '📧 Take Action';
                 buttonClass = 'action-btn-danger';
-                subject = `Urgent: Stop Using Harmful SGARs - Protect NSW Wildlife`;
-                body = `Dear ${name} Council,\n\nI am writing to urge you to immediately stop using Second Generation Anticoagulant Rodenticides (SGARs) in your pest control programs.\n\nSGARs pose severe risks to NSW wildlife through secondary poisoning, affecting native birds, mammals, and reptiles. Many councils across NSW have successfully transitioned to safer alternatives.\n\nPlease join them in protecting our precious wildlife by:\n1. Reviewing your current rodenticide policy\n2. Transitioning to non-anticoagulant alternatives\n3. Publishing your pest control methods for transparency\n\nOur wildlife depends on your leadership.\n\nThank you for considering this urgent request.\n\nSincerely,`;
                 ariaLabel = `Contact ${name} to urge them to stop using SGARs`;
                 break;
                 
             case 'No': // SGAR-free
                 buttonText = '📧 Thank Council';
                 buttonClass = 'action-btn-success';
-                subject = `Thank You for Protecting NSW Wildlife - SGAR-Free Policy`;
-                body = `Dear ${name} Council,\n\nThank you for your leadership in protecting NSW wildlife by maintaining a SGAR-free pest control policy.\n\nYour commitment to avoiding Second Generation Anticoagulant Rodenticides demonstrates environmental responsibility and sets an excellent example for other councils across NSW.\n\nBy choosing safer alternatives, you are:\n1. Protecting native birds, mammals, and reptiles from secondary poisoning\n2. Maintaining healthy ecosystems in your local area\n3. Leading by example for other councils\n\nPlease continue this important work and consider sharing your success story to inspire other councils.\n\nWith sincere appreciation,`;
                 ariaLabel = `Thank ${name} for their SGAR-free policy`;
                 break;
                 
+            case 'Contractor': // SGARs used through contractors
+                buttonText = '📧 Take Action';
+                buttonClass = 'action-btn-contractor';
+                ariaLabel = `Urge ${name} to require SGAR-free pest control from its contractors`;
+                break;
+                
+            case 'Partial': // SGARs used at some facilities
+                buttonText = '📧 Take Action';
+                buttonClass = 'action-btn-partial';
+                ariaLabel = `Urge ${name} to stop using SGARs at its remaining facilities`;
+                break;
+                
+            case 'Committed': // Committed to phase out by a set date
+                buttonText = '📧 Support Phase-Out';
+                buttonClass = 'action-btn-committed';
+                ariaLabel = `Support ${name} in delivering its SGAR phase-out`;
+                break;
+                
+            case 'Transitioning': // Actively moving away from SGARs
+                buttonText = '📧 Encourage Progress';
+                buttonClass = 'action-btn-transitioning';
+                ariaLabel = `Encourage ${name} to complete its transition away from SGARs`;
+                break;
+                
             default: // Unknown status
                 buttonText = '📧 Request Transparency';
                 buttonClass = 'action-btn-warning';
-                subject = `Request for Transparency: Rodenticide Policy Information`;
-                body = `Dear ${name} Council,\n\nI am writing to request transparency regarding your current rodenticide and pest control policies.\n\nAs a concerned resident/advocate, I would like to understand:\n1. What rodenticides (if any) does your council currently use?\n2. Do you use Second Generation Anticoagulant Rodenticides (SGARs)?\n3. What is your policy regarding wildlife-safe pest control alternatives?\n4. Are you considering transitioning to non-anticoagulant alternatives?\n\nThis information is important for understanding how local councils are protecting NSW wildlife from the harmful effects of SGARs through secondary poisoning.\n\nI would appreciate a clear response regarding your current practices and any plans for wildlife-safe alternatives.\n\nThank you for your time and consideration.\n\nSincerely,`;
                 ariaLabel = `Request transparency from ${name} about their rodenticide policy`;
                 break;
         }
         
-        // Encode the mailto link
-        const mailtoLink = `mailto:${contactEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        // Letter wording comes from the editable templates in data/templates
+        const letter = this.getLetter(council);
+        const mailtoLink = letter
+            ? `mailto:${contactEmail}?subject=${encodeURIComponent(letter.subject)}&body=${encodeURIComponent(letter.body)}`
+            : `mailto:${contactEmail}`;
         
         return `
             <a href="${mailtoLink}" 
                class="council-action-btn ${buttonClass}"
+               onclick="app.logAction('${encodeURIComponent(name)}', 'mailto', '${source}')"
                aria-label="${ariaLabel}"
                title="${ariaLabel}">
                ${buttonText}
@@ -517,13 +759,269 @@ export class SGARTracker {
         `;
     }
 
+    /**
+     * Collect the placeholder values used by the letter templates
+     * @param {Object} council - Council to write to
+     * @param {Object} sender - Optional sender details (name, suburb, isRatepayer, note)
+     * @returns {Object} Template data
+     */
+    getLetterData(council, sender = {}) {
+        const region = this.getLetterRegion(council);
+        const nearbySgarFreeCount = region
+            ? this.councils.filter(c => c.name !== council.name && this.getLetterRegion(c) === region && c.status === 'No').length
+            : 0;
+        const neighbourSummary = this.getNeighbourSummary(council);
+        const neighbourSgarFree = neighbourSummary ? neighbourSummary.sgarFree : [];
+
+        return {
+            councilName: council.name,
+            status: formatCouncilStatus(council.status).text,
+            region,
+            ingredients: formatList(council.ingredients.map(ingredient => ingredient.name)),
+            phaseOutBy: formatPartialDate(council.phaseOutBy),
+            nearbySgarFreeCount,
+            nearbySgarFreeCouncils: pluralize(nearbySgarFreeCount, 'council'),
+            // Without the adjacency graph the neighbour counts aren't known, so they stay
+            // unset rather than 0 and letters never state a count that wasn't measured
+            neighbourCount: neighbourSummary ? neighbourSummary.neighbours.length : null,
+            neighbourSgarFreeCount: neighbourSummary ? neighbourSgarFree.length : null,
+            neighbourSgarFreeNames: neighbourSummary ? formatList(neighbourSgarFree.map(c => c.name)) : null,
+            neighbourSgarFreeSummary: neighbourSgarFree.length > 0
+                ? `${neighbourSgarFree.length} of your ${pluralize(neighbourSummary.neighbours.length, 'neighbouring council')}, ${formatList(neighbourSgarFree.map(c => c.name))}, ${neighbourSgarFree.length === 1 ? 'is' : 'are'} SGAR-free`
+                : null,
+            senderName: sender.name || '',
+            senderSuburb: sender.suburb || '',
+            senderIsRatepayer: Boolean(sender.isRatepayer),
+            personalNote: sender.note || ''
+        };
+    }
+
+    /**
+     * Councils sharing a border with a council, from the boundary adjacency graph
+     * @param {Object} council - Council object
+     * @returns {Object|null} { neighbours, sgarFree }, or null until the adjacency graph has loaded
+     */
+    getNeighbourSummary(council) {
+        if (!this.mapController || !this.mapController.adjacency) return null;
+
+        const neighbours = this.mapController.getNeighbouringCouncils(council);
+        return { neighbours, sgarFree: neighbours.filter(neighbour => neighbour.status === 'No') };
+    }
+
+    // e.g. "2 of 6 neighbouring councils are SGAR-free"
+    formatNeighbourSummary(summary) {
+        const count = summary.sgarFree.length;
+        return `${count} of ${pluralize(summary.neighbours.length, 'neighbouring council')} ${count === 1 ? 'is' : 'are'} SGAR-free`;
+    }
+
+    /**
+     * Peer-pressure line for popups and the details modal
+     * @param {Object} council - Council object
+     * @param {boolean} listAll - List every neighbour with its status, not just the SGAR-free ones
+     * @returns {string} HTML, empty until the adjacency graph has loaded or if the council has no neighbours
+     */
+    createNeighbourSummary(council, listAll = false) {
+        const summary = this.getNeighbourSummary(council);
+        if (!summary || summary.neighbours.length === 0) return '';
+
+        const link = (neighbour) => `<a href="#/council/${slugify(neighbour.name)}">${neighbour.name}</a>`;
+
+        if (!listAll) {
+            return `
+                <p class="neighbour-summary">
+                    🤝 <strong>${this.formatNeighbourSummary(summary)}</strong>${summary.sgarFree.length > 0 ? `: ${summary.sgarFree.map(link).join(', ')}` : ''}
+                </p>
+            `;
+        }
+
+        return `
+            <p class="neighbour-summary"><strong>${this.formatNeighbourSummary(summary)}</strong></p>
+            <ul class="council-neighbours">
+                ${summary.neighbours.map(neighbour => {
+                    const statusInfo = formatCouncilStatus(neighbour.status);
+                    return `
+                        <li>
+                            <a href="#/council/${slugify(neighbour.name)}" class="council-neighbour-link">
+                                <span class="council-neighbour-name">${neighbour.name}</span>
+                                <span class="council-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
+                            </a>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Region named in letters. Letters always use the default taxonomy so
+     * their wording doesn't depend on how the visitor has grouped the map.
+     * @param {Object} council - Council being written to
+     * @returns {string} Region name, or '' if it has none
+     */
+    getLetterRegion(council) {
+        return this.regionTaxonomies ? this.regionTaxonomies.getLetterRegion(council.name) : '';
+    }
+
+    /**
+     * Render the letter for a council
+     * @param {Object} council - Council to write to
+     * @param {Object} sender - Sender details (default: the saved sender profile)
+     * @param {string} toneId - Tone to use (default: the selected tone)
+     * @returns {Object|null} { subject, body }, or null if templates are unavailable
+     */
+    getLetter(council, sender = this.getSenderProfile(), toneId = undefined) {
+        if (!this.emailTemplates) return null;
+        return this.emailTemplates.render(council.status, this.getLetterData(council, sender), toneId);
+    }
+
+    /**
+     * Render one letter for several councils with the same status, for a
+     * single BCC email. Council-specific placeholders are left empty.
+     * @param {string} status - Status shared by the councils
+     * @param {Array} councils - Councils being written to
+     * @param {Object} sender - Sender details (default: the saved sender profile)
+     * @returns {Object|null} { subject, body }, or null if templates are unavailable
+     */
+    getGroupLetter(status, councils, sender = this.getSenderProfile()) {
+        if (!this.emailTemplates) return null;
+        
+        const regions = new Set(councils.map(council => this.getLetterRegion(council)));
+        const region = regions.size === 1 ? [...regions][0] : '';
+        
+        return this.emailTemplates.render(status, {
+            councilName: '',
+            status: formatCouncilStatus(status).text,
+            region,
+            ingredients: '',
+            phaseOutBy: '',
+            nearbySgarFreeCount: 0,
+            nearbySgarFreeCouncils: '',
+            neighbourCount: null,
+            neighbourSgarFreeCount: null,
+            neighbourSgarFreeNames: null,
+            neighbourSgarFreeSummary: null,
+            senderName: sender.name || '',
+            senderSuburb: sender.suburb || '',
+            senderIsRatepayer: false,
+            personalNote: sender.note || ''
+        });
+    }
+
+    setActionLog(actionLog) {
+        this.actionLog = actionLog;
+    }
+
+    hasContacted(councilName) {
+        return Boolean(this.actionLog && this.actionLog.hasContacted(councilName));
+    }
+
+    /**
+     * Log an action launched from an inline handler
+     * @param {string} encodedName - URI-encoded council name
+     * @param {string} channel - How the letter was sent (see ACTION_CHANNELS)
+     * @param {string} source - Where it was launched from (see ACTION_SOURCES)
+     */
+    logAction(encodedName, channel, source) {
+        safeExecute(() => {
+            const council = this.councils.find(c => c.name === decodeURIComponent(encodedName));
+            if (council) {
+                this.recordAction(council, { channel, source });
+            }
+        }, null, 'SGARTracker.logAction');
+    }
+
+    /**
+     * Log a launched action and offer a follow-up reminder for it
+     * @param {Object} council - Council written to
+     * @param {Object} action - { channel, source, template, subject, offerFollowUp }
+     * @returns {Object|null} The logged entry
+     */
+    recordAction(council, { channel, source, template = null, subject = null, offerFollowUp = true }) {
+        if (!this.actionLog) return null;
+        
+        const letter = subject ? null : this.getLetter(council);
+        const entry = this.actionLog.record({
+            council: council.name,
+            lgaCode: council.lgaCode,
+            template: template || (this.emailTemplates ? this.emailTemplates.getTemplateId(council.status) : null),
+            subject: subject || (letter ? letter.subject : null),
+            channel,
+            source
+        });
+        console.log(`📝 Logged ${channel} action for ${council.name} from ${source}`);
+        
+        if (offerFollowUp && this.followUps) {
+            this.followUps.offerReminder(entry);
+        }
+        
+        // Refresh badges and the contacted filter once the click has finished;
+        // re-rendering now would detach the mailto link before it navigates
+        setTimeout(() => {
+            if (this.currentView !== 'map') {
+                this.renderCouncils();
+            }
+            if (this.filters.contact && this.mapController) {
+                this.mapController.applyFilter(this.filters);
+            }
+            this.updateFilteredResultsCounter();
+        }, 0);
+        
+        return entry;
+    }
+
+    createContactedBadge(council) {
+        const lastContact = this.actionLog ? this.actionLog.getLastContact(council.name) : null;
+        if (!lastContact) return '';
+        
+        const count = this.actionLog.getCouncilEntries(council.name).length;
+        const title = count > 1 ? `${count} actions logged on this device` : 'Logged on this device';
+        
+        return `
+            <div class="contacted-badge" title="${title}">
+                ✅ You contacted this council on ${formatRecentDate(lastContact.date)}
+            </div>
+        `;
+    }
+
+    getSenderProfile() {
+        return getStorageItem(SENDER_PROFILE_STORAGE_KEY, {}) || {};
+    }
+
+    saveSenderProfile(profile) {
+        return setStorageItem(SENDER_PROFILE_STORAGE_KEY, profile);
+    }
+
+    clearSenderProfile() {
+        return removeStorageItem(SENDER_PROFILE_STORAGE_KEY);
+    }
+
+    createComposeButton(council, source = 'card') {
+        return `
+            <button type="button" class="council-action-btn action-btn-secondary compose-btn"
+                    onclick="app.composeLetter('${encodeURIComponent(council.name)}', '${source}')"
+                    aria-label="Personalise a letter to ${council.name} before sending">
+                ✍️ Personalise
+            </button>
+        `;
+    }
+
+    createReplyButton(council) {
+        return `
+            <button type="button" class="council-action-btn action-btn-secondary reply-btn"
+                    onclick="app.logReply('${encodeURIComponent(council.name)}')"
+                    aria-label="Log a reply from ${council.name} Council">
+                📬 I got a reply
+            </button>
+        `;
+    }
+
     createCouncilCard(council) {
         const statusInfo = formatCouncilStatus(council.status);
         const statusClass = statusInfo.class;
         const statusIcon = statusInfo.icon;
         
         // Add wildlife impact indicator for councils using SGARs
-        const wildlifeIndicator = council.status === 'Yes' ? 
+        const wildlifeIndicator = statusInfo.usesSgars ? 
             '<div class="wildlife-impact" title="Wildlife at Risk - Council uses SGARs">🦉</div>' : '';
 
         return `
@@ -531,17 +1029,21 @@ export class SGARTracker {
                 <div class="council-status-indicator"></div>
                 ${wildlifeIndicator}
                 <div class="council-card-header">
-                    <h3 class="council-name">${council.name}</h3>
+                    <h3 class="council-name">${this.highlightSearch(council, council.name)}</h3>
                     <span class="council-status ${statusClass}">
                         ${statusIcon} ${statusInfo.text}
                     </span>
                 </div>
                 <div class="council-card-body">
-                    <div class="council-notes">${council.notes}</div>
+                    ${this.createContactedBadge(council)}
+                    <div class="council-notes">${this.highlightSearch(council, council.notes)}</div>
+                    ${this.createSearchSnippets(council)}
                     <div class="council-action">
                         ${this.createActionButton(council)}
+                        ${this.createComposeButton(council)}
+                        ${this.createCompareButton(council)}
                         <button class="council-action-btn secondary view-details-btn" 
-                                onclick="app.openCouncilDetails('${encodeURIComponent(JSON.stringify(council))}')"
+                                onclick="app.openCouncilDetails('${encodeURIComponent(council.name)}')"
                                 aria-label="View detailed information for ${council.name}">
                             📋 View Details
                         </button>
@@ -560,13 +1062,16 @@ export class SGARTracker {
             <article class="council-card ${statusClass}" style="display: flex; align-items: center; padding: var(--space-lg);">
                 <div class="council-status-indicator"></div>
                 <div style="flex: 1;">
-                    <h3 class="council-name" style="margin-bottom: var(--space-xs);">${council.name}</h3>
+                    <h3 class="council-name" style="margin-bottom: var(--space-xs);">${this.highlightSearch(council, council.name)}</h3>
                     <span class="council-status ${statusClass}">
                         ${statusIcon} ${statusInfo.text}
                     </span>
+                    ${this.createContactedBadge(council)}
+                    ${this.createSearchSnippets(council)}
                 </div>
                 <div class="council-action">
-                    ${this.createActionButton(council)}
+                    ${this.createActionButton(council, 'list')}
+                    ${this.createCompareButton(council)}
                 </div>
             </article>
         `;
@@ -591,41 +1096,36 @@ export class SGARTracker {
         }
     }
 
-    openActionModal(councilData) {
-        const modal = document.getElementById('actionModal');
-        const embedContainer = document.getElementById('actionNetworkEmbedContainer');
+    openActionModal(councilData, source = 'composer') {
+        if (!this.letterComposer) return;
         
-        if (!modal || !embedContainer) return;
-        
-        // Campaign URLs based on status
-        const campaignUrls = {
-            'Yes': 'URL_FOR_YES_STATUS_CAMPAIGN',
-            'No': 'URL_FOR_NO_STATUS_CAMPAIGN',
-            'Unknown': 'URL_FOR_UNKNOWN_STATUS_CAMPAIGN'
-        };
-
-        const campaignUrl = campaignUrls[councilData.status] || campaignUrls['Unknown'];
-        
-        // Create iframe for Action Network form
-        embedContainer.innerHTML = `
-            <iframe 
-                src="${campaignUrl}" 
-                style="width: 100%; height: 600px; border: none;"
-                title="Take Action Form"
-            ></iframe>
-        `;
-        
-        modal.style.display = 'block';
-        document.body.style.overflow = 'hidden';
+        // Popup and card handlers pass a serialised copy of the council
+        const council = this.councils.find(c => c.name === councilData.name) || councilData;
+        this.letterComposer.open(council, { source });
     }
 
     closeActionModal() {
-        const modal = document.getElementById('actionModal');
-        const embedContainer = document.getElementById('actionNetworkEmbedContainer');
-        
-        if (modal) modal.style.display = 'none';
-        if (embedContainer) embedContainer.innerHTML = '';
-        document.body.style.overflow = 'auto';
+        if (this.letterComposer) {
+            this.letterComposer.close();
+        }
+    }
+
+    composeLetter(encodedName, source = 'composer') {
+        safeExecute(() => {
+            const council = this.councils.find(c => c.name === decodeURIComponent(encodedName));
+            if (council) {
+                this.openActionModal(council, source);
+            }
+        }, null, 'SGARTracker.composeLetter');
+    }
+
+    logReply(encodedName) {
+        safeExecute(() => {
+            const council = this.councils.find(c => c.name === decodeURIComponent(encodedName));
+            if (council && this.replyRecorder) {
+                this.replyRecorder.open(council);
+            }
+        }, null, 'SGARTracker.logReply');
     }
 
     selectCouncil(councilName) {
@@ -634,13 +1134,22 @@ export class SGARTracker {
             searchInput.value = councilName;
             this.filters.search = councilName.toLowerCase();
             this.renderCouncils();
+            
+            if (this.mapController) {
+                this.mapController.applyFilter(this.filters);
+            }
+            
+            this.updateClearFiltersVisibility();
+            this.updateFilteredResultsCounter();
         }
     }
 
-    contactCouncil(encodedData) {
+    contactCouncil(encodedName, source = 'composer') {
         safeExecute(() => {
-            const councilData = JSON.parse(decodeURIComponent(encodedData));
-            this.openActionModal(councilData);
+            const council = this.councils.find(c => c.name === decodeURIComponent(encodedName));
+            if (council) {
+                this.openActionModal(council, source);
+            }
         }, null, 'SGARTracker.contactCouncil');
     }
 
@@ -651,10 +1160,10 @@ export class SGARTracker {
         }
     }
 
-    showToast(message, type = 'info') {
+    showToast(message, type = 'info', duration = 4000, actions = []) {
         // Use UI controller toast system if available, otherwise fallback
         if (this.uiController) {
-            this.uiController.showToast(message, type);
+            this.uiController.showToast(message, type, duration, actions);
         } else {
             // Fallback toast implementation
             const toast = document.createElement('div');
@@ -692,6 +1201,139 @@ export class SGARTracker {
         this.uiController = uiController;
     }
 
+    setURLState(urlState) {
+        this.urlState = urlState;
+    }
+
+    setLetterComposer(letterComposer) {
+        this.letterComposer = letterComposer;
+    }
+
+    setFollowUpReminders(followUps) {
+        this.followUps = followUps;
+    }
+
+    setReplyRecorder(replyRecorder) {
+        this.replyRecorder = replyRecorder;
+    }
+
+    setSearchIndex(searchIndex) {
+        this.searchIndex = searchIndex;
+
+        // A search restored from the URL was matched as plain text until now
+        if (this.filters.search) {
+            this.renderCouncils();
+            if (this.mapController) {
+                this.mapController.applyFilter(this.filters);
+            }
+            this.updateFilteredResultsCounter();
+        }
+    }
+
+    setEmailTemplates(emailTemplates) {
+        this.emailTemplates = emailTemplates;
+        this.setupLetterToneSelect();
+        
+        // Cards rendered before the templates loaded carry blank letters
+        if (this.currentView !== 'map') {
+            this.renderCouncils();
+        }
+    }
+
+    setupLetterToneSelect() {
+        const toneSelect = document.getElementById('letter-tone');
+        if (!toneSelect || !this.emailTemplates) return;
+        
+        toneSelect.innerHTML = this.emailTemplates.getTones().map(tone => `
+            <option value="${tone.id}" title="${tone.description}">${tone.label}</option>
+        `).join('');
+        toneSelect.value = this.emailTemplates.getTone();
+        
+        toneSelect.addEventListener('change', (e) => {
+            if (!this.emailTemplates.setTone(e.target.value)) return;
+            
+            if (this.currentView !== 'map') {
+                this.renderCouncils();
+            }
+            
+            const tone = this.emailTemplates.getTones().find(t => t.id === e.target.value);
+            this.showToast(`Letters will use the ${tone.label.toLowerCase()} tone`, 'info');
+        });
+    }
+
+    notifyStateChange() {
+        if (this.urlState) {
+            this.urlState.update();
+        }
+    }
+
+    /**
+     * Apply filters, view and page from a saved state (e.g. a shared link)
+     * @param {Object} state - { filters, view, page }
+     */
+    restoreState({ filters, view, page, regionTaxonomy = null }) {
+        const taxonomy = this.regionTaxonomies && this.regionTaxonomies.getTaxonomy();
+        if (regionTaxonomy && (!taxonomy || taxonomy.id !== regionTaxonomy)) {
+            this.applyRegionTaxonomy(regionTaxonomy);
+        }
+        
+        this.filters = { ...this.filters, ...filters, quickFilter: null };
+        this.pagination.currentPage = page || 1;
+        this.syncFilterControls();
+        
+        // switchView re-renders the cards for grid and list views
+        this.switchView(view);
+        if (view === 'map') {
+            this.renderCouncils();
+        }
+        
+        if (this.mapController) {
+            this.mapController.applyFilter(this.filters);
+        }
+        
+        this.updateClearFiltersVisibility();
+        this.updateFilteredResultsCounter();
+    }
+
+    syncFilterControls() {
+        const searchInput = document.getElementById('council-search');
+        if (searchInput) searchInput.value = this.filters.search;
+        
+        this.renderFilterChips();
+        
+        const ingredientFilter = document.getElementById('ingredient-filter');
+        if (ingredientFilter) {
+            ingredientFilter.value = this.getIngredientFilterValue();
+        }
+        
+        const contactFilter = document.getElementById('contact-filter');
+        if (contactFilter) {
+            contactFilter.value = this.filters.contact || 'all';
+        }
+        
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-filter') === 'all' && !this.hasActiveFilters());
+        });
+    }
+
+    getIngredientFilterValue() {
+        const selected = this.filters.ingredient;
+        if (selected.length === 0) return 'all';
+        if (selected.length === 1) return selected[0];
+        
+        // A set covering exactly one class maps back to its "Any <class>" option
+        const classes = new Set(selected.map(name => CONSTANTS.RODENTICIDE_INGREDIENTS[name]));
+        if (classes.size === 1) {
+            const [ingredientClass] = classes;
+            const classIngredients = Object.keys(CONSTANTS.RODENTICIDE_INGREDIENTS)
+                .filter(name => CONSTANTS.RODENTICIDE_INGREDIENTS[name] === ingredientClass);
+            if (classIngredients.length === selected.length) {
+                return `class:${ingredientClass}`;
+            }
+        }
+        return 'all';
+    }
+
     // Export council data as CSV
     exportToCSV() {
         const csvContent = generateCSV(this.councils);
@@ -842,7 +1484,10 @@ export class SGARTracker {
         this.filters = {
             status: [],
             region: [],
+            regionMode: 'any',
+            ingredient: [],
             search: '',
+            contact: '',
             quickFilter: null
         };
         
@@ -855,11 +1500,12 @@ export class SGARTracker {
             searchInput.value = '';
         }
 
-        // Reset professional dropdown selectors
-        const statusFilter = document.getElementById('status-filter');
-        const regionFilter = document.getElementById('region-filter');
-        if (statusFilter) statusFilter.value = 'all';
-        if (regionFilter) regionFilter.value = 'all';
+        // Reset professional dropdown selectors (the status and region chips
+        // are redrawn by renderCouncils)
+        const ingredientFilter = document.getElementById('ingredient-filter');
+        if (ingredientFilter) ingredientFilter.value = 'all';
+        const contactFilter = document.getElementById('contact-filter');
+        if (contactFilter) contactFilter.value = 'all';
 
         // Reset filter buttons to "All" active state (for legacy compatibility)
         document.querySelectorAll('.filter-btn').forEach(btn => {
@@ -888,6 +1534,8 @@ export class SGARTracker {
             this.filters.search.length > 0 ||
             this.filters.status.length > 0 ||
             this.filters.region.length > 0 ||
+            this.filters.ingredient.length > 0 ||
+            Boolean(this.filters.contact) ||
             (this.filters.quickFilter && this.filters.quickFilter !== 'all');
 
         // Show/hide button based on active filters
@@ -898,20 +1546,18 @@ export class SGARTracker {
         return this.filters.search.length > 0 ||
                this.filters.status.length > 0 ||
                this.filters.region.length > 0 ||
+               this.filters.ingredient.length > 0 ||
+               Boolean(this.filters.contact) ||
                (this.filters.quickFilter && this.filters.quickFilter !== 'all');
     }
 
-    contactCouncil(encodedCouncilData) {
-        console.log('Contact council called with:', encodedCouncilData);
-    }
-
-    openCouncilDetails(encodedCouncilData) {
-        try {
-            const council = JSON.parse(decodeURIComponent(encodedCouncilData));
-            this.showCouncilDetailsModal(council);
-        } catch (error) {
-            console.error('Error parsing council data:', error);
-        }
+    openCouncilDetails(encodedName) {
+        safeExecute(() => {
+            const council = this.councils.find(c => c.name === decodeURIComponent(encodedName));
+            if (council) {
+                this.showCouncilDetailsModal(council);
+            }
+        }, null, 'SGARTracker.openCouncilDetails');
     }
 
     showCouncilDetailsModal(council) {
@@ -920,6 +1566,8 @@ export class SGARTracker {
         
         if (!modal || !container) return;
 
+        this.selectedCouncil = council;
+
         // Generate modal content
         container.innerHTML = this.createCouncilDetailsContent(council);
 
@@ -929,20 +1577,14 @@ export class SGARTracker {
 
         // Set up event listeners
         this.setupModalEventListeners(modal);
+        
+        this.notifyStateChange();
     }
 
     createCouncilDetailsContent(council) {
         const statusInfo = formatCouncilStatus(council.status);
         const statusIcon = statusInfo.icon;
         const statusText = statusInfo.text;
-        
-        // Format last updated date if available
-        const lastUpdated = council.lastUpdated ? 
-            new Date(council.lastUpdated).toLocaleDateString('en-AU', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            }) : 'Not specified';
 
         return `
             <div class="council-details-header">
@@ -950,15 +1592,47 @@ export class SGARTracker {
                 <div class="council-details-status">
                     ${statusIcon} ${statusText}
                 </div>
+                <a href="#/council/${slugify(council.name)}" class="council-page-link">🔗 Open shareable council page</a>
+                <div class="council-details-actions">
+                    ${this.createActionButton(council, 'details')}
+                    ${this.createComposeButton(council, 'details')}
+                    ${this.createReplyButton(council)}
+                </div>
+                ${this.createContactedBadge(council)}
             </div>
             <div class="council-details-body">
+                ${this.createCouncilDetailSections(council)}
+                ${this.getNeighbourSummary(council) ? `
+                <div class="detail-section">
+                    <div class="detail-label">Neighbouring Councils</div>
+                    ${this.createNeighbourSummary(council, true) || '<div class="detail-content">No neighbouring councils found</div>'}
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    createCouncilDetailSections(council) {
+        const statusText = formatCouncilStatus(council.status).text;
+        
+        // Format last status change date if available
+        const lastUpdated = formatPartialDate(council.lastUpdated) || 'Not specified';
+
+        return `
                 <div class="detail-section">
                     <div class="detail-label">SGAR Status</div>
                     <div class="detail-content">${statusText} - ${this.getStatusDescription(council.status)}</div>
                 </div>
                 
+                ${council.phaseOutBy ? `
                 <div class="detail-section">
-                    <div class="detail-label">Region</div>
+                    <div class="detail-label">Phase-Out Commitment</div>
+                    <div class="detail-content">SGARs to be phased out by ${formatPartialDate(council.phaseOutBy)}</div>
+                </div>
+                ` : ''}
+                
+                <div class="detail-section">
+                    <div class="detail-label">${this.getRegionTaxonomyLabel()}</div>
                     <div class="detail-content">${council.region || 'Not specified'}</div>
                 </div>
                 
@@ -970,22 +1644,242 @@ export class SGARTracker {
                 </div>
                 
                 <div class="detail-section">
-                    <div class="detail-label">Last Updated</div>
+                    <div class="detail-label">Last Status Change</div>
                     <div class="detail-content">${lastUpdated}</div>
                 </div>
                 
+                <div class="detail-section">
+                    <div class="detail-label">Status History</div>
+                    ${this.createStatusTimeline(council.history)}
+                </div>
+                
+                <div class="detail-section">
+                    <div class="detail-label">Products &amp; Active Ingredients</div>
+                    ${this.createProductsList(council.products)}
+                </div>
+                
                 <div class="detail-section">
                     <div class="detail-label">Detailed Notes</div>
                     <div class="detail-content">${council.notes}</div>
                 </div>
-            </div>
+                
+                <div class="detail-section">
+                    <div class="detail-label">Sources</div>
+                    ${this.createSourcesList(council.sources)}
+                </div>
+        `;
+    }
+
+    createProductsList(products) {
+        if (!products || products.length === 0) {
+            return '<div class="detail-content">No products confirmed</div>';
+        }
+
+        const items = products.map(product => {
+            const ingredients = product.ingredients.map(ingredient => this.createIngredientBadge(ingredient)).join(' ');
+            return `
+                <li class="product-item">
+                    <span class="product-name">${product.name || 'Unnamed product'}</span>
+                    ${ingredients}
+                </li>
+            `;
+        }).join('');
+
+        return `<ul class="product-list">${items}</ul>`;
+    }
+
+    createIngredientBadge(ingredient) {
+        const ingredientClass = getIngredientClass(ingredient);
+        return `
+            <span class="ingredient-badge ${ingredientClass.class}" title="${ingredientClass.label}">
+                ${ingredient} <small>${ingredientClass.shortLabel}</small>
+            </span>
+        `;
+    }
+
+    renderProductReference() {
+        const container = document.getElementById('product-reference-table');
+        if (!container) return;
+
+        const reference = buildProductReference(this.councils);
+        if (reference.length === 0) {
+            container.innerHTML = '<p>No named products have been confirmed yet.</p>';
+            return;
+        }
+
+        const rows = reference.map(product => `
+            <tr>
+                <td>${product.name}</td>
+                <td>${product.ingredients.map(i => this.createIngredientBadge(i.name)).join(' ')}</td>
+                <td title="${product.councils.join(', ')}">${product.councils.length}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="product-reference-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Product</th>
+                        <th scope="col">Active Ingredients</th>
+                        <th scope="col">Councils</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
         `;
     }
 
+    createSourcesList(sources) {
+        if (!sources || sources.length === 0) {
+            return '<div class="detail-content">No sources recorded yet</div>';
+        }
+
+        const items = sources.map(source => {
+            const typeInfo = formatSourceType(source.type);
+            const href = getSourceHref(source);
+            const title = href
+                ? `<a href="${href}" target="_blank" rel="noopener">${source.title}</a>`
+                : source.title;
+
+            return `
+                <li class="source-item">
+                    <div class="source-meta">
+                        <span class="source-type">${typeInfo.icon} ${typeInfo.label}</span>
+                        <time datetime="${source.date}">${formatPartialDate(source.date)}</time>
+                    </div>
+                    <div class="source-title">${title}</div>
+                    <blockquote class="source-quote">“${source.quote}”</blockquote>
+                </li>
+            `;
+        }).join('');
+
+        return `<ul class="source-list">${items}</ul>`;
+    }
+
+    isInComparison(councilName) {
+        return this.compareSelection.includes(councilName);
+    }
+
+    /**
+     * Add a council to, or take it out of, the councils picked for comparison
+     * @param {string} encodedName - URI-encoded council name, from an inline handler
+     */
+    toggleCompare(encodedName) {
+        const name = decodeURIComponent(encodedName);
+
+        if (this.isInComparison(name)) {
+            this.compareSelection = this.compareSelection.filter(selected => selected !== name);
+        } else if (this.compareSelection.length >= COMPARE_MAX) {
+            this.showToast(`You can compare up to ${COMPARE_MAX} councils at once`, 'warning');
+            return;
+        } else {
+            this.compareSelection.push(name);
+        }
+
+        this.updateCompareControls();
+    }
+
+    setCompareSelection(councilNames) {
+        this.compareSelection = councilNames.slice(0, COMPARE_MAX);
+        this.updateCompareControls();
+    }
+
+    clearCompare() {
+        this.setCompareSelection([]);
+    }
+
+    openComparison() {
+        if (this.compareSelection.length < COMPARE_MIN) {
+            this.showToast(`Pick at least ${COMPARE_MIN} councils to compare`, 'info');
+            return;
+        }
+        window.location.hash = ComparePage.getPath(this.compareSelection);
+    }
+
+    createCompareButton(council) {
+        const selected = this.isInComparison(council.name);
+        return `
+            <button type="button" class="council-action-btn action-btn-secondary compare-btn ${selected ? 'selected' : ''}"
+                    data-council="${escapeHtml(council.name)}" aria-pressed="${selected}"
+                    onclick="app.toggleCompare('${encodeURIComponent(council.name)}')"
+                    aria-label="Compare ${council.name} with other councils">
+                ⚖️ Compare
+            </button>
+        `;
+    }
+
+    // Sync the compare buttons on cards and popups, and the tray listing the picks
+    updateCompareControls() {
+        document.querySelectorAll('.compare-btn').forEach(button => {
+            const selected = this.isInComparison(button.dataset.council);
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+
+        const tray = document.getElementById('compare-tray');
+        if (!tray) return;
+
+        const count = this.compareSelection.length;
+        tray.hidden = count === 0;
+        tray.innerHTML = count === 0 ? '' : `
+            <span class="compare-tray-label">Compare:</span>
+            <ul class="compare-tray-list">
+                ${this.compareSelection.map(name => `
+                    <li class="compare-tray-item">
+                        ${name}
+                        <button type="button" class="compare-tray-remove"
+                                onclick="app.toggleCompare('${encodeURIComponent(name)}')"
+                                aria-label="Remove ${name} from the comparison">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <button type="button" class="council-action-btn primary compare-tray-open"
+                    onclick="app.openComparison()" ${count < COMPARE_MIN ? 'disabled' : ''}>
+                ${count < COMPARE_MIN ? `Pick ${COMPARE_MIN - count} more` : `Compare ${count} councils →`}
+            </button>
+            <button type="button" class="compare-tray-clear" onclick="app.clearCompare()">Clear</button>
+        `;
+    }
+
+    createStatusTimeline(history) {
+        if (!history || history.length === 0) {
+            return '<div class="detail-content">No status changes recorded</div>';
+        }
+
+        // Most recent change first
+        const entries = [...history].reverse().map(entry => {
+            const toInfo = formatCouncilStatus(entry.to);
+            const change = entry.from
+                ? `${formatCouncilStatus(entry.from).text} → ${toInfo.text}`
+                : `First recorded as ${toInfo.text}`;
+
+            return `
+                <li class="timeline-item ${toInfo.class}">
+                    <div class="timeline-marker" aria-hidden="true">${toInfo.icon}</div>
+                    <div class="timeline-body">
+                        <time class="timeline-date" datetime="${entry.date}">${formatPartialDate(entry.date)}</time>
+                        <div class="timeline-change">${change}</div>
+                        <div class="timeline-note">${entry.note}</div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        return `<ol class="status-timeline">${entries}</ol>`;
+    }
+
     getStatusDescription(status) {
         switch (status) {
             case 'Yes':
                 return 'Council currently uses Second Generation Anticoagulant Rodenticides in pest control programs';
+            case 'Contractor':
+                return 'Council\'s pest control contractors use Second Generation Anticoagulant Rodenticides on its behalf';
+            case 'Partial':
+                return 'Council uses Second Generation Anticoagulant Rodenticides only at certain facilities or sites';
+            case 'Committed':
+                return 'Council has formally committed to phasing out Second Generation Anticoagulant Rodenticides by a set date';
+            case 'Transitioning':
+                return 'Council is actively moving its pest control to SGAR-free alternatives';
             case 'No':
                 return 'Council has adopted SGAR-free pest control methods, protecting local wildlife';
             case 'Unknown':
@@ -1032,6 +1926,9 @@ export class SGARTracker {
             document.removeEventListener('keydown', modal._escapeHandler);
             delete modal._escapeHandler;
         }
+        
+        this.selectedCouncil = null;
+        this.notifyStateChange();
     }
 
     updateResultsCounter(showing, total) {
@@ -1043,30 +1940,60 @@ export class SGARTracker {
     }
 
     setupProfessionalFilters() {
-        // Populate region dropdown with actual regions from data
-        this.populateRegionDropdown();
+        // Status and region chips, with a count for each option
+        this.populateTaxonomyDropdown();
+        this.renderFilterChips();
         
-        // Status filter dropdown
-        const statusFilter = document.getElementById('status-filter');
-        if (statusFilter) {
-            statusFilter.addEventListener('change', (e) => {
+        // Region grouping (campaign regions, Joint Organisations...)
+        const taxonomySelect = document.getElementById('region-taxonomy');
+        if (taxonomySelect) {
+            taxonomySelect.addEventListener('change', (e) => {
+                this.setRegionTaxonomy(e.target.value);
+            });
+        }
+
+        // Chips are redrawn with every change, so listen on their containers
+        ['status', 'region'].forEach(facet => {
+            const container = document.getElementById(`${facet}-filter`);
+            if (!container) return;
+
+            container.addEventListener('click', (e) => {
+                const chip = e.target.closest('.filter-chip');
+                if (chip && !chip.disabled) {
+                    this.toggleFilterValue(facet, chip.getAttribute('data-value'));
+                }
+            });
+        });
+
+        const regionMode = document.getElementById('region-mode');
+        if (regionMode) {
+            regionMode.addEventListener('change', (e) => {
+                this.filters.regionMode = e.target.value === 'all' ? 'all' : 'any';
+                this.onFiltersChanged();
+            });
+        }
+
+        // Active ingredient filter dropdown
+        this.populateIngredientDropdown();
+        const ingredientFilter = document.getElementById('ingredient-filter');
+        if (ingredientFilter) {
+            ingredientFilter.addEventListener('change', (e) => {
                 const value = e.target.value;
                 if (value === 'all') {
-                    this.filters.status = [];
+                    this.filters.ingredient = [];
+                } else if (value.startsWith('class:')) {
+                    // Class options match any ingredient of that class
+                    const ingredientClass = value.slice('class:'.length);
+                    this.filters.ingredient = Object.keys(CONSTANTS.RODENTICIDE_INGREDIENTS)
+                        .filter(name => CONSTANTS.RODENTICIDE_INGREDIENTS[name] === ingredientClass);
                 } else {
-                    // Map dropdown values to internal status values
-                    const statusMap = {
-                        'using-sgars': ['Yes'],
-                        'sgar-free': ['No'], 
-                        'unknown': ['Unknown']
-                    };
-                    this.filters.status = statusMap[value] || [];
+                    this.filters.ingredient = [value];
                 }
                 this.renderCouncils();
                 
                 // Update map if controller is available
                 if (this.mapController) {
-                    console.log('🗺️ Updating map with status filter:', this.filters.status);
+                    console.log('🗺️ Updating map with ingredient filter:', this.filters.ingredient);
                     this.mapController.applyFilter(this.filters);
                 }
                 
@@ -1075,22 +2002,15 @@ export class SGARTracker {
             });
         }
 
-        // Region filter dropdown
-        const regionFilter = document.getElementById('region-filter');
-        if (regionFilter) {
-            regionFilter.addEventListener('change', (e) => {
+        // Contacted filter dropdown (uses the local action log)
+        const contactFilter = document.getElementById('contact-filter');
+        if (contactFilter) {
+            contactFilter.addEventListener('change', (e) => {
                 const value = e.target.value;
-                if (value === 'all') {
-                    this.filters.region = [];
-                } else {
-                    // Use the selected region directly (no mapping needed now)
-                    this.filters.region = [value];
-                }
+                this.filters.contact = value === 'all' ? '' : value;
                 this.renderCouncils();
                 
-                // Update map if controller is available
                 if (this.mapController) {
-                    console.log('🗺️ Updating map with region filter:', this.filters.region);
                     this.mapController.applyFilter(this.filters);
                 }
                 
@@ -1105,32 +2025,156 @@ export class SGARTracker {
         this.updateResultsCounter(filteredCouncils.length, this.councils.length);
     }
 
-    populateRegionDropdown() {
-        const regionFilter = document.getElementById('region-filter');
-        if (!regionFilter) return;
+    populateTaxonomyDropdown() {
+        const taxonomySelect = document.getElementById('region-taxonomy');
+        if (!taxonomySelect) return;
 
-        // Get all unique regions from councils data and count councils per region
-        const regionCounts = {};
+        const taxonomies = this.regionTaxonomies ? this.regionTaxonomies.getTaxonomies() : [];
+        const current = this.regionTaxonomies && this.regionTaxonomies.getTaxonomy();
+
+        taxonomySelect.innerHTML = taxonomies.map(taxonomy => `
+            <option value="${taxonomy.id}" ${current && taxonomy.id === current.id ? 'selected' : ''}
+                    title="${escapeHtml(taxonomy.description || '')}">${escapeHtml(taxonomy.label)}</option>
+        `).join('');
+
+        // Nothing to choose between
+        const group = taxonomySelect.closest('.filter-taxonomy');
+        if (group) group.hidden = taxonomies.length < 2;
+    }
+
+    /**
+     * Select or deselect one status or region
+     * @param {string} facet - 'status' or 'region'
+     * @param {string} value - Status or region name
+     */
+    toggleFilterValue(facet, value) {
+        const values = this.filters[facet];
+        this.filters[facet] = values.includes(value)
+            ? values.filter(v => v !== value)
+            : [...values, value];
+        this.filters.quickFilter = null;
+        this.onFiltersChanged();
+    }
+
+    onFiltersChanged() {
+        this.pagination.currentPage = 1;
+        this.renderCouncils();
+        
+        // Update map if controller is available
+        if (this.mapController) {
+            console.log('🗺️ Updating map with filters:', this.filters);
+            this.mapController.applyFilter(this.filters);
+        }
+        
+        this.updateClearFiltersVisibility();
+        this.updateFilteredResultsCounter();
+    }
+
+    /**
+     * Draw the status and region chips. Each count is how many councils the
+     * option matches with the other filters applied.
+     */
+    renderFilterChips() {
+        const options = this.getFilterOptions();
+        const otherLabel = this.getOtherRegionLabel();
+
+        const regions = [...new Set(this.councils.flatMap(council => council.regions))]
+            .sort((a, b) => (a === otherLabel) - (b === otherLabel) || a.localeCompare(b));
+        // Chosen regions that aren't in this taxonomy (e.g. from an old link) are dropped
+        this.filters.region = this.filters.region.filter(region => regions.includes(region));
+
+        this.renderChipGroup('status', CONSTANTS.SGAR_STATUSES, (status) => {
+            const statusInfo = formatCouncilStatus(status);
+            return { label: `${statusInfo.icon} ${statusInfo.text}`, className: `filter-chip-${statusInfo.class}` };
+        }, countFilterOptions(this.councils, this.filters, 'status', options));
+
+        this.renderChipGroup('region', regions, (region) => ({ label: region, className: '' }),
+            countFilterOptions(this.councils, this.filters, 'region', options));
+
+        const regionLabel = document.getElementById('region-filter-label');
+        if (regionLabel) regionLabel.textContent = this.getRegionTaxonomyLabel();
+
+        // "Match all" only means something when councils can be in several regions
+        const regionMode = document.getElementById('region-mode');
+        if (regionMode) {
+            const overlaps = this.councils.some(council => council.regions.length > 1);
+            if (!overlaps) this.filters.regionMode = 'any';
+            regionMode.value = this.filters.regionMode;
+            regionMode.hidden = !overlaps;
+        }
+    }
+
+    renderChipGroup(facet, values, describe, counts) {
+        const container = document.getElementById(`${facet}-filter`);
+        if (!container) return;
+
+        // Keep keyboard focus on the chip that was just toggled
+        const focused = container.contains(document.activeElement)
+            ? document.activeElement.getAttribute('data-value')
+            : null;
+
+        const selected = this.filters[facet];
+        container.innerHTML = values.map(value => {
+            const { label, className } = describe(value);
+            const count = counts[value] || 0;
+            const isSelected = selected.includes(value);
+
+            return `
+                <button type="button" class="filter-chip ${className}" data-value="${escapeHtml(value)}"
+                        aria-pressed="${isSelected}" ${count === 0 && !isSelected ? 'disabled' : ''}>
+                    ${escapeHtml(label)} <span class="filter-chip-count">${count}</span>
+                </button>
+            `;
+        }).join('');
+
+        if (focused !== null) {
+            const chip = [...container.querySelectorAll('.filter-chip')]
+                .find(button => button.getAttribute('data-value') === focused);
+            if (chip) chip.focus();
+        }
+    }
+
+    populateIngredientDropdown() {
+        const ingredientFilter = document.getElementById('ingredient-filter');
+        if (!ingredientFilter) return;
+
+        // Count councils per ingredient and per ingredient class
+        const ingredientCounts = {};
+        const classCounts = {};
         this.councils.forEach(council => {
-            const region = council.region;
-            regionCounts[region] = (regionCounts[region] || 0) + 1;
+            council.ingredients.forEach(ingredient => {
+                ingredientCounts[ingredient.name] = (ingredientCounts[ingredient.name] || 0) + 1;
+            });
+            new Set(council.ingredients.map(i => i.class)).forEach(ingredientClass => {
+                classCounts[ingredientClass] = (classCounts[ingredientClass] || 0) + 1;
+            });
         });
 
-        // Sort regions alphabetically
-        const sortedRegions = Object.keys(regionCounts).sort();
+        ingredientFilter.innerHTML = '<option value="all">All Ingredients</option>';
 
-        // Clear existing options except "All Regions"
-        regionFilter.innerHTML = '<option value="all">All Regions</option>';
+        // One group per class, led by an "any of this class" option
+        Object.entries(CONSTANTS.RODENTICIDE_CLASSES).forEach(([classKey, classInfo]) => {
+            const ingredients = Object.keys(ingredientCounts)
+                .filter(name => getIngredientClass(name).key === classKey)
+                .sort();
+            if (ingredients.length === 0) return;
 
-        // Add regions with council counts
-        sortedRegions.forEach(region => {
-            const count = regionCounts[region];
-            const option = document.createElement('option');
-            option.value = region;
-            option.textContent = `${region} (${count})`;
-            regionFilter.appendChild(option);
-        });
+            const group = document.createElement('optgroup');
+            group.label = classInfo.label;
+
+            const anyOption = document.createElement('option');
+            anyOption.value = `class:${classKey}`;
+            anyOption.textContent = `Any ${classInfo.shortLabel} (${classCounts[classKey] || 0})`;
+            group.appendChild(anyOption);
 
-        console.log('🏘️ Region dropdown populated with:', sortedRegions.map(r => `${r} (${regionCounts[r]})`));
+            ingredients.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `${name} (${ingredientCounts[name]})`;
+                group.appendChild(option);
+            });
+
+            ingredientFilter.appendChild(group);
+        });
     }
 }
\ No newline at end of file
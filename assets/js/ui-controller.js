@@ -648,7 +648,7 @@ export class UIController {
         // Add missing ARIA labels
         const searchInput = document.getElementById('council-search');
         if (searchInput && !searchInput.getAttribute('aria-label')) {
-            searchInput.setAttribute('aria-label', 'Search councils by name or region');
+            searchInput.setAttribute('aria-label', 'Search councils by suburb, postcode or name');
         }
 
         // Enhance council cards
@@ -757,6 +757,10 @@ export class UIController {
         const filterNames = {
             'all': 'all councils',
             'using-sgars': 'councils using SGARs',
+            'contractor-only': 'councils whose contractors use SGARs',
+            'partial-use': 'councils using SGARs at some sites',
+            'committed': 'councils committed to phasing out SGARs',
+            'transitioning': 'councils transitioning away from SGARs',
             'sgar-free': 'SGAR-free councils',
             'unknown': 'councils with unknown status'
         };
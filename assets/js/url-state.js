@@ -0,0 +1,175 @@
+/**
+ * URL State Module
+ * Keeps filters, view, page, selected council and map position in the query string
+ * so any state of the tracker can be shared as a link
+ */
+import {
+    generateShareableURL,
+    parseURLParams,
+    formatCouncilStatus,
+    getStatusForFilterValue,
+    slugify,
+    logError
+} from './utils.js';
+import { DEFAULT_MAP_CENTER, DEFAULT_MAP_ZOOM } from './map-controller.js';
+
+const VIEWS = ['map', 'grid', 'list'];
+const CONTACT_FILTERS = ['contacted', 'not-contacted'];
+
+// Parameters that change continuously (typing, panning) replace the current
+// history entry instead of adding a new one
+const TRANSIENT_PARAMS = ['q', 'center', 'zoom'];
+
+export class URLStateManager {
+    constructor(app, mapController) {
+        this.app = app;
+        this.mapController = mapController;
+        this.isRestoring = false;
+        this.lastParams = null;
+    }
+
+    init() {
+        this.restore(parseURLParams());
+
+        window.addEventListener('popstate', () => {
+            this.restore(parseURLParams());
+        });
+
+        if (this.mapController && this.mapController.map) {
+            this.mapController.map.on('moveend', () => this.update());
+        }
+    }
+
+    /**
+     * Read the current application state as URL parameters.
+     * Defaults are left out so links stay short.
+     * @returns {Object} Parameter name to string value
+     */
+    serialize() {
+        const { filters, currentView, pagination, selectedCouncil, regionTaxonomies } = this.app;
+        const taxonomy = regionTaxonomies && regionTaxonomies.getTaxonomy();
+
+        const params = {
+            status: filters.status.map(status => formatCouncilStatus(status).filterValue).join(','),
+            regions: taxonomy && taxonomy.id !== regionTaxonomies.defaultId ? taxonomy.id : '',
+            region: filters.region.join(','),
+            match: filters.regionMode === 'all' && filters.region.length > 1 ? 'all' : '',
+            ingredient: filters.ingredient.join(','),
+            q: filters.search,
+            contact: filters.contact || '',
+            view: currentView !== 'map' ? currentView : '',
+            page: currentView === 'grid' && pagination.currentPage > 1 ? String(pagination.currentPage) : '',
+            council: selectedCouncil ? slugify(selectedCouncil.name) : '',
+            center: '',
+            zoom: ''
+        };
+
+        const view = this.mapController && this.mapController.map && this.mapController.map.getView();
+        if (view && currentView === 'map' && view.getCenter()) {
+            const [lon, lat] = ol.proj.toLonLat(view.getCenter());
+            const zoom = Math.round(view.getZoom() * 100) / 100;
+            const center = `${lon.toFixed(4)},${lat.toFixed(4)}`;
+
+            if (center !== `${DEFAULT_MAP_CENTER[0].toFixed(4)},${DEFAULT_MAP_CENTER[1].toFixed(4)}` || zoom !== DEFAULT_MAP_ZOOM) {
+                params.center = center;
+                params.zoom = String(zoom);
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Write the current state to the URL. Discrete changes (filters, view,
+     * page, council) add a history entry; transient ones replace it.
+     */
+    update() {
+        if (this.isRestoring) return;
+
+        const params = this.serialize();
+        if (this.lastParams && this.isSameState(params, this.lastParams)) return;
+
+        const isTransient = this.lastParams && Object.keys(params)
+            .filter(key => !TRANSIENT_PARAMS.includes(key))
+            .every(key => params[key] === this.lastParams[key]);
+
+        const url = generateShareableURL(params);
+        if (isTransient) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+
+        this.lastParams = params;
+    }
+
+    isSameState(a, b) {
+        return Object.keys(a).every(key => a[key] === b[key]);
+    }
+
+    /**
+     * Apply URL parameters to the app and map
+     * @param {Object} params - Parsed URL parameters
+     */
+    restore(params) {
+        this.isRestoring = true;
+
+        try {
+            const list = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+            // A link without a taxonomy keeps the visitor's saved one on first load,
+            // but going back to such an entry returns to the default
+            const { regionTaxonomies } = this.app;
+            const regionTaxonomy = params.regions ||
+                (this.lastParams && regionTaxonomies ? regionTaxonomies.defaultId : null);
+
+            this.app.restoreState({
+                regionTaxonomy,
+                filters: {
+                    status: list(params.status).map(getStatusForFilterValue).filter(Boolean),
+                    region: list(params.region),
+                    regionMode: params.match === 'all' ? 'all' : 'any',
+                    ingredient: list(params.ingredient),
+                    search: params.q || '',
+                    contact: CONTACT_FILTERS.includes(params.contact) ? params.contact : ''
+                },
+                view: VIEWS.includes(params.view) ? params.view : 'map',
+                page: parseInt(params.page, 10) || 1
+            });
+
+            this.restoreMapPosition(params);
+            this.restoreSelectedCouncil(params.council);
+        } catch (error) {
+            logError(error, 'URLStateManager.restore', { params });
+        } finally {
+            this.isRestoring = false;
+            this.lastParams = this.serialize();
+        }
+    }
+
+    restoreMapPosition(params) {
+        const view = this.mapController && this.mapController.map && this.mapController.map.getView();
+        if (!view) return;
+
+        const [lon, lat] = (params.center || '').split(',').map(Number);
+        const zoom = Number(params.zoom);
+
+        if (Number.isFinite(lon) && Number.isFinite(lat) && Number.isFinite(zoom)) {
+            view.setCenter(ol.proj.fromLonLat([lon, lat]));
+            view.setZoom(zoom);
+        } else {
+            view.setCenter(ol.proj.fromLonLat(DEFAULT_MAP_CENTER));
+            view.setZoom(DEFAULT_MAP_ZOOM);
+        }
+    }
+
+    restoreSelectedCouncil(slug) {
+        const council = slug ? this.app.councils.find(c => slugify(c.name) === slug) : null;
+
+        if (council) {
+            this.app.showCouncilDetailsModal(council);
+        } else if (this.app.selectedCouncil) {
+            this.app.closeCouncilDetailsModal();
+        }
+    }
+}
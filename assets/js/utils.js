@@ -14,7 +14,7 @@
  */
 export function validateCouncilData(councilData) {
     const errors = [];
-    const requiredFields = ['sgars', 'notes', 'email'];
+    const requiredFields = ['lgaCode', 'history', 'sources', 'products', 'notes', 'email'];
     
     if (!councilData || typeof councilData !== 'object') {
         return { isValid: false, errors: ['Council data must be an object'] };
@@ -27,10 +27,32 @@ export function validateCouncilData(councilData) {
         }
     });
 
-    // Validate SGAR status
-    const validStatuses = ['Yes', 'No', 'Unknown'];
-    if (councilData.sgars && !validStatuses.includes(councilData.sgars)) {
-        errors.push(`Invalid SGAR status: ${councilData.sgars}. Must be one of: ${validStatuses.join(', ')}`);
+    // Validate official LGA code
+    if ('lgaCode' in councilData && !isValidLGACode(councilData.lgaCode)) {
+        errors.push(`Invalid lgaCode: ${councilData.lgaCode}. Use the 5-digit ABS LGA code as a string`);
+    }
+
+    // Validate status history
+    if ('history' in councilData) {
+        errors.push(...validateStatusHistory(councilData.history));
+    }
+
+    // Validate evidence sources
+    if ('sources' in councilData) {
+        errors.push(...validateSources(councilData.sources));
+    }
+
+    // Validate products and active ingredients
+    if ('products' in councilData) {
+        errors.push(...validateProducts(councilData.products));
+    }
+
+    // Validate phase-out commitment date
+    if (councilData.phaseOutBy !== undefined && !isValidPartialDate(councilData.phaseOutBy)) {
+        errors.push(`Invalid phaseOutBy date: ${councilData.phaseOutBy}. Use YYYY, YYYY-MM or YYYY-MM-DD`);
+    }
+    if (getCurrentStatus(councilData.history) === 'Committed' && !councilData.phaseOutBy) {
+        errors.push('Councils committed to phasing out SGARs need a phaseOutBy date');
     }
 
     // Validate email format
@@ -44,6 +66,212 @@ export function validateCouncilData(councilData) {
     };
 }
 
+/**
+ * Checks an ABS LGA code (5 digits, NSW codes start with 1)
+ * @param {string} code - LGA code to validate
+ * @returns {boolean} True if the code is well formed
+ */
+export function isValidLGACode(code) {
+    return typeof code === 'string' && /^1\d{4}$/.test(code);
+}
+
+/**
+ * Normalises an LGA code read from boundary data
+ * Handles numeric codes, single-element arrays and prefixed values such as "LGA10050"
+ * @param {string|number|Array} value - Raw code value from a GIS feature
+ * @returns {string|null} 5-digit code string or null if none can be read
+ */
+export function normalizeLGACode(value) {
+    if (Array.isArray(value)) {
+        value = value[0];
+    }
+    if (value === undefined || value === null) {
+        return null;
+    }
+    
+    const match = String(value).match(/\d{5}/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Validates a council's status history
+ * @param {Array} history - Status change entries ({ date, from, to, note })
+ * @returns {Array} Error messages, empty if the history is valid
+ */
+export function validateStatusHistory(history) {
+    const errors = [];
+    const validStatuses = CONSTANTS.SGAR_STATUSES;
+
+    if (!Array.isArray(history) || history.length === 0) {
+        return ['Status history must be a non-empty array'];
+    }
+
+    history.forEach((entry, index) => {
+        const label = `History entry ${index + 1}`;
+
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        if (!isValidPartialDate(entry.date)) {
+            errors.push(`${label}: invalid date "${entry.date}". Use YYYY, YYYY-MM or YYYY-MM-DD`);
+        }
+
+        if (!validStatuses.includes(entry.to)) {
+            errors.push(`${label}: invalid status "${entry.to}". Must be one of: ${validStatuses.join(', ')}`);
+        }
+
+        if (entry.from !== null && !validStatuses.includes(entry.from)) {
+            errors.push(`${label}: invalid previous status "${entry.from}". Must be null or one of: ${validStatuses.join(', ')}`);
+        }
+
+        if (!entry.note || typeof entry.note !== 'string') {
+            errors.push(`${label}: missing note`);
+        }
+    });
+
+    // Each change should start from the status the previous change ended on
+    sortStatusHistory(history).forEach((entry, index, sorted) => {
+        if (index > 0 && entry.from !== sorted[index - 1].to) {
+            errors.push(`History entry dated ${entry.date} changes from "${entry.from}" but the previous status was "${sorted[index - 1].to}"`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates a council's evidence sources
+ * @param {Array} sources - Source entries ({ type, date, title, path?, url?, quote })
+ * @returns {Array} Error messages, empty if the sources are valid
+ */
+export function validateSources(sources) {
+    const errors = [];
+    const validTypes = Object.keys(CONSTANTS.SOURCE_TYPES);
+
+    if (!Array.isArray(sources)) {
+        return ['Sources must be an array'];
+    }
+
+    sources.forEach((source, index) => {
+        const label = `Source ${index + 1}`;
+
+        if (!source || typeof source !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        if (!validTypes.includes(source.type)) {
+            errors.push(`${label}: invalid type "${source.type}". Must be one of: ${validTypes.join(', ')}`);
+        }
+
+        if (!isValidPartialDate(source.date)) {
+            errors.push(`${label}: invalid date "${source.date}". Use YYYY, YYYY-MM or YYYY-MM-DD`);
+        }
+
+        ['title', 'quote'].forEach(field => {
+            if (!source[field] || typeof source[field] !== 'string') {
+                errors.push(`${label}: missing ${field}`);
+            }
+        });
+
+        if (source.url !== undefined && !/^https?:\/\//.test(source.url)) {
+            errors.push(`${label}: url must start with http:// or https://`);
+        }
+
+        if (source.path !== undefined && (typeof source.path !== 'string' || /^(\/|[a-z]+:)/i.test(source.path))) {
+            errors.push(`${label}: path must be relative to the repository root`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates the rodenticide products a council uses
+ * @param {Array} products - Product entries ({ name?, ingredients })
+ * @returns {Array} Error messages, empty if the products are valid
+ */
+export function validateProducts(products) {
+    const errors = [];
+    const knownIngredients = Object.keys(CONSTANTS.RODENTICIDE_INGREDIENTS);
+
+    if (!Array.isArray(products)) {
+        return ['Products must be an array'];
+    }
+
+    products.forEach((product, index) => {
+        const label = `Product ${index + 1}`;
+
+        if (!product || typeof product !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        if (product.name !== undefined && (typeof product.name !== 'string' || !product.name.trim())) {
+            errors.push(`${label}: name must be a non-empty string when given`);
+        }
+
+        if (!Array.isArray(product.ingredients) || product.ingredients.length === 0) {
+            errors.push(`${label}: ingredients must be a non-empty array`);
+            return;
+        }
+
+        product.ingredients.forEach(ingredient => {
+            if (!knownIngredients.includes(ingredient)) {
+                errors.push(`${label}: unknown active ingredient "${ingredient}". Must be one of: ${knownIngredients.join(', ')}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Checks for an ISO date that may omit the day or month (YYYY, YYYY-MM, YYYY-MM-DD)
+ * @param {string} date - Date string to check
+ * @returns {boolean} True if date is a valid partial ISO date
+ */
+export function isValidPartialDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(date)) {
+        return false;
+    }
+    return !isNaN(new Date(date).getTime());
+}
+
+/**
+ * Sorts status history entries oldest first
+ * @param {Array} history - Status change entries
+ * @returns {Array} New array sorted by date
+ */
+export function sortStatusHistory(history) {
+    if (!Array.isArray(history)) return [];
+    // Partial ISO dates sort correctly as strings
+    return [...history].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Derives a council's current SGAR status from its status history
+ * @param {Array} history - Status change entries
+ * @returns {string} Status of the most recent change, or 'Unknown'
+ */
+export function getCurrentStatus(history) {
+    const sorted = sortStatusHistory(history);
+    if (sorted.length === 0) return 'Unknown';
+    return sorted[sorted.length - 1].to || 'Unknown';
+}
+
+/**
+ * Gets the date of a council's most recent status change
+ * @param {Array} history - Status change entries
+ * @returns {string|null} Partial ISO date of the latest entry, or null
+ */
+export function getLastStatusChange(history) {
+    const sorted = sortStatusHistory(history);
+    return sorted.length > 0 ? sorted[sorted.length - 1].date : null;
+}
+
 /**
  * Validates email address format
  * @param {string} email - Email address to validate
@@ -65,18 +293,56 @@ export function formatCouncilStatus(status) {
             text: 'Using SGARs',
             icon: '⚠️',
             class: 'danger',
+            filterValue: 'using-sgars',
+            usesSgars: true,
             description: 'This council currently uses Second Generation Anticoagulant Rodenticides'
         },
+        'Contractor': {
+            text: 'Contractor Use Only',
+            icon: '🧰',
+            class: 'contractor',
+            filterValue: 'contractor-only',
+            usesSgars: true,
+            description: 'This council\'s pest control contractors use SGARs on its behalf'
+        },
+        'Partial': {
+            text: 'Partial Use',
+            icon: '📍',
+            class: 'partial',
+            filterValue: 'partial-use',
+            usesSgars: true,
+            description: 'This council uses SGARs only at certain facilities or sites'
+        },
+        'Committed': {
+            text: 'Committed to Phase Out',
+            icon: '📅',
+            class: 'committed',
+            filterValue: 'committed',
+            usesSgars: false,
+            description: 'This council has formally committed to phasing out SGARs by a set date'
+        },
+        'Transitioning': {
+            text: 'Transitioning',
+            icon: '🔄',
+            class: 'transitioning',
+            filterValue: 'transitioning',
+            usesSgars: false,
+            description: 'This council is actively moving to SGAR-free alternatives'
+        },
         'No': {
             text: 'SGAR-Free',
             icon: '✅',
             class: 'success',
+            filterValue: 'sgar-free',
+            usesSgars: false,
             description: 'This council has committed to wildlife-safe pest management'
         },
         'Unknown': {
             text: 'Status Unknown',
             icon: '❓',
             class: 'warning',
+            filterValue: 'unknown',
+            usesSgars: false,
             description: 'This council\'s SGAR usage status needs verification'
         }
     };
@@ -84,6 +350,90 @@ export function formatCouncilStatus(status) {
     return statusMap[status] || statusMap['Unknown'];
 }
 
+/**
+ * Looks up the SGAR status for a status filter value (e.g. 'using-sgars')
+ * @param {string} filterValue - Filter value from a status control
+ * @returns {string|null} Matching status, or null if none matches
+ */
+export function getStatusForFilterValue(filterValue) {
+    return CONSTANTS.SGAR_STATUSES.find(status => formatCouncilStatus(status).filterValue === filterValue) || null;
+}
+
+/**
+ * Formats an evidence source type for display
+ * @param {string} type - Source type key (see CONSTANTS.SOURCE_TYPES)
+ * @returns {Object} Formatted type with label and icon
+ */
+export function formatSourceType(type) {
+    return CONSTANTS.SOURCE_TYPES[type] || { label: 'Source', icon: '📄' };
+}
+
+/**
+ * Gets the link for an evidence source, preferring the local copy
+ * @param {Object} source - Source entry
+ * @returns {string|null} Relative path or URL, or null if the source has neither
+ */
+export function getSourceHref(source) {
+    if (!source) return null;
+    return source.path ? `./${source.path}` : (source.url || null);
+}
+
+/**
+ * Gets the class (SGAR, FGAR or non-anticoagulant) of an active ingredient
+ * @param {string} ingredient - Active ingredient name
+ * @returns {Object} Class key and display info ({ key, label, shortLabel, class })
+ */
+export function getIngredientClass(ingredient) {
+    const key = CONSTANTS.RODENTICIDE_INGREDIENTS[ingredient] || 'unknown';
+    return { key, ...(CONSTANTS.RODENTICIDE_CLASSES[key] || CONSTANTS.RODENTICIDE_CLASSES.unknown) };
+}
+
+/**
+ * Lists the distinct active ingredients across a council's products
+ * @param {Array} products - Product entries ({ name?, ingredients })
+ * @returns {Array} Ingredients with their class, SGARs first then alphabetical
+ */
+export function getCouncilIngredients(products) {
+    if (!Array.isArray(products)) return [];
+
+    const classOrder = Object.keys(CONSTANTS.RODENTICIDE_CLASSES);
+    const names = [...new Set(products.flatMap(product => product.ingredients || []))];
+
+    return names
+        .map(name => ({ name, class: getIngredientClass(name).key }))
+        .sort((a, b) => classOrder.indexOf(a.class) - classOrder.indexOf(b.class) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Builds a product reference table from the products councils report using
+ * @param {Array} councils - Council objects with a products array
+ * @returns {Array} One row per named product with its ingredients and the councils using it
+ */
+export function buildProductReference(councils) {
+    const products = {};
+
+    councils.forEach(council => {
+        (council.products || []).forEach(product => {
+            if (!product.name) return;
+
+            if (!products[product.name]) {
+                products[product.name] = {
+                    name: product.name,
+                    ingredients: getCouncilIngredients([product]),
+                    councils: []
+                };
+            }
+            if (!products[product.name].councils.includes(council.name)) {
+                products[product.name].councils.push(council.name);
+            }
+        });
+    });
+
+    return Object.values(products).sort((a, b) =>
+        b.councils.length - a.councils.length || a.name.localeCompare(b.name)
+    );
+}
+
 /**
  * Formats a number with appropriate units and locale
  * @param {number} num - Number to format
@@ -186,6 +536,37 @@ export function stripHtml(html) {
     return tmp.textContent || tmp.innerText || '';
 }
 
+/**
+ * Escapes text for safe insertion into HTML, including attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-safe text
+ */
+export function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Short, stable fingerprint of a string (32-bit FNV-1a), e.g. to tell whether
+ * downloaded data changed since it was last seen. Not for security.
+ * @param {string} text - Text to hash
+ * @returns {string} Eight hex digits
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    const value = String(text);
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 /**
  * Highlights search terms in text
  * @param {string} text - Text to highlight
@@ -198,6 +579,105 @@ export function highlightText(text, searchTerm) {
     return text.replace(regex, '<mark>$1</mark>');
 }
 
+// Words, keeping internal hyphens and apostrophes: "Ku-ring-gai", "council's"
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Normalises a word for searching: lower case, no accents, and no hyphens
+ * or apostrophes, so "Ku-ring-gai" and "kuringgai" are the same word
+ * @param {string} word - Word to normalise
+ * @returns {string} Normalised word
+ */
+export function normalizeSearchWord(word) {
+    return String(word || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’-]/g, '');
+}
+
+/**
+ * Splits text into words for searching
+ * @param {string} text - Text to split
+ * @returns {Array} Words ({ text, key }) where key is the normalised form
+ */
+export function splitSearchWords(text) {
+    return (String(text || '').match(SEARCH_WORD_PATTERN) || [])
+        .map(word => ({ text: word, key: normalizeSearchWord(word) }));
+}
+
+/**
+ * Edit distance between two strings, giving up once it exceeds a limit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if it is larger than max
+ */
+export function levenshteinDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Parses a search box query into terms. Supports "quoted phrases" and
+ * field prefixes such as ingredient:brodifacoum or notes:"wax blocks".
+ * @param {string} query - Text typed by the user
+ * @param {Array<string>} fields - Recognised field prefixes
+ * @returns {Array} Terms ({ field, words, phrase }); field is null when none was given
+ */
+export function parseSearchQuery(query, fields = []) {
+    const terms = [];
+    const pattern = /(?:([\p{L}]+):)?(?:"([^"]*)"?|(\S+))/gu;
+    let match;
+    
+    while ((match = pattern.exec(String(query || ''))) !== null) {
+        const [whole, prefix, quoted, bare] = match;
+        const field = prefix && fields.includes(prefix.toLowerCase()) ? prefix.toLowerCase() : null;
+        // An unknown prefix is searched for as ordinary text
+        const text = quoted !== undefined ? quoted : (prefix && !field ? whole : bare);
+        const words = splitSearchWords(text).map(word => word.key).filter(Boolean);
+        
+        if (words.length === 0) continue;
+        terms.push({ field, words, phrase: quoted !== undefined && words.length > 1 });
+    }
+    
+    return terms;
+}
+
+/**
+ * Escapes text for HTML and marks every occurrence of the given words
+ * @param {string} text - Plain text
+ * @param {Array<string>} words - Words or phrases to mark, as they appear in the text
+ * @returns {string} HTML with <mark> around matches
+ */
+export function highlightWords(text, words = []) {
+    const unique = [...new Set(words.filter(Boolean))].sort((a, b) => b.length - a.length);
+    if (!text || unique.length === 0) return escapeHtml(text || '');
+    
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])(${unique.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    let html = '';
+    let lastIndex = 0;
+    String(text).replace(regex, (match, _group, offset) => {
+        html += `${escapeHtml(text.slice(lastIndex, offset))}<mark>${escapeHtml(match)}</mark>`;
+        lastIndex = offset + match.length;
+        return match;
+    });
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
 /**
  * Escapes special regex characters in string
  * @param {string} string - String to escape
@@ -207,6 +687,120 @@ export function escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Joins items into a readable English list
+ * @param {Array<string>} items - Items to join
+ * @returns {string} e.g. "a", "a and b" or "a, b and c"
+ */
+export function formatList(items) {
+    if (!Array.isArray(items) || items.length === 0) return '';
+    if (items.length === 1) return items[0];
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Formats a count with the singular or plural form of a noun
+ * @param {number} count - Number of items
+ * @param {string} singular - Singular noun
+ * @param {string} plural - Plural noun (default: singular + "s")
+ * @returns {string} e.g. "1 council" or "4 councils"
+ */
+export function pluralize(count, singular, plural = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Line-by-line difference between two texts (longest common subsequence)
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Lines ({ type: 'same' | 'added' | 'removed', line })
+ */
+export function diffLines(before, after) {
+    const a = String(before || '').split('\n');
+    const b = String(after || '').split('\n');
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', line: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'removed', line: a[i++] });
+        } else {
+            result.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) result.push({ type: 'added', line: b[j++] });
+
+    return result;
+}
+
+// =============================================================================
+// TEMPLATE RENDERING
+// =============================================================================
+
+/**
+ * Renders a plain-text template.
+ * {{name}} inserts a value, {{#name}}...{{/name}} keeps its text only when the
+ * value is set and {{^name}}...{{/name}} only when it is empty. Sections may
+ * nest as long as they use different names.
+ * @param {string} template - Template text
+ * @param {Object} data - Placeholder values
+ * @returns {string} Rendered text with runs of blank lines collapsed
+ */
+export function renderTemplate(template, data = {}) {
+    if (!template || typeof template !== 'string') return '';
+
+    const isSet = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+    const render = (text) => text
+        .replace(/\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (_, type, key, inner) => {
+            const show = type === '#' ? isSet(data[key]) : !isSet(data[key]);
+            return show ? render(inner) : '';
+        })
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+            const value = data[key];
+            return value === null || value === undefined ? '' : String(value);
+        });
+
+    return render(template)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Splits a letter template into its subject line and body
+ * @param {string} text - Template text whose first line is "Subject: ..."
+ * @returns {Object} { subject, body } templates
+ */
+export function parseLetterTemplate(text) {
+    const normalized = (text || '').replace(/\r\n/g, '\n');
+    const match = normalized.match(/^Subject:[ \t]*(.*)\n/i);
+
+    if (!match) {
+        return { subject: '', body: normalized.trim() };
+    }
+
+    return {
+        subject: match[1].trim(),
+        body: normalized.slice(match[0].length).replace(/^\n+/, '')
+    };
+}
+
 // =============================================================================
 // DATE UTILITIES
 // =============================================================================
@@ -244,6 +838,64 @@ export function formatDate(date, options = {}) {
     }
 }
 
+/**
+ * Formats a recent date as day and month, adding the year only when it differs
+ * from the current year
+ * @param {Date|string} date - Date to format
+ * @returns {string} e.g. "3 March" or "3 March 2024"
+ */
+export function formatRecentDate(date) {
+    if (!date) return '';
+
+    const dateObj = typeof date === 'string' ? new Date(date) : date;
+    if (isNaN(dateObj.getTime())) return '';
+
+    const formatOptions = { timeZone: 'Australia/Sydney', day: 'numeric', month: 'long' };
+    if (dateObj.getFullYear() !== new Date().getFullYear()) {
+        formatOptions.year = 'numeric';
+    }
+
+    return new Intl.DateTimeFormat('en-AU', formatOptions).format(dateObj);
+}
+
+/**
+ * Days a council took to reply: from the first letter sent to the first
+ * reply received on or after that day
+ * @param {Array<string>} contactDates - ISO dates letters were sent
+ * @param {Array<string>} replyDates - ISO dates replies were received
+ * @returns {number|null} Whole days, or null if no letter has been answered
+ */
+export function getResponseDays(contactDates = [], replyDates = []) {
+    const toDay = (date) => Date.parse(String(date).slice(0, 10));
+    const firstContact = Math.min(...contactDates.map(toDay).filter(day => !isNaN(day)));
+    if (!isFinite(firstContact)) return null;
+
+    const replies = replyDates.map(toDay).filter(day => day >= firstContact);
+    if (replies.length === 0) return null;
+
+    return Math.round((Math.min(...replies) - firstContact) / 86400000);
+}
+
+/**
+ * Formats a partial ISO date (YYYY, YYYY-MM or YYYY-MM-DD) at its own precision
+ * @param {string} date - Partial ISO date
+ * @returns {string} Formatted date, e.g. "2023", "December 2024" or "22 January 2025"
+ */
+export function formatPartialDate(date) {
+    if (!isValidPartialDate(date)) return '';
+
+    const [year, month] = date.split('-');
+    if (!month) return year;
+
+    if (date.length === 7) {
+        const monthName = new Date(Number(year), Number(month) - 1, 1)
+            .toLocaleDateString('en-AU', { month: 'long' });
+        return `${monthName} ${year}`;
+    }
+
+    return formatDate(date, { format: 'long' });
+}
+
 /**
  * Gets relative time string (e.g., "2 days ago")
  * @param {Date|string} date - Date to compare
@@ -318,6 +970,116 @@ export function generateCSV(councils) {
     return csvRows.join('\n');
 }
 
+/**
+ * Generates CSV data from rows of plain values
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Row values in header order
+ * @returns {string} CSV formatted string with every field quoted
+ */
+export function createCSV(headers, rows) {
+    const quote = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    return [headers, ...rows].map(row => row.map(quote).join(',')).join('\n');
+}
+
+// iCalendar text values escape backslashes, semicolons, commas and newlines
+function escapeICSText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// UTF-8 length of one code point
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+}
+
+// Lines longer than 75 octets continue on the next line after a space, which
+// counts towards that line's 75. Splits fall between characters, never inside
+// a multibyte UTF-8 sequence.
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let length = 0;
+
+    for (const char of line) {
+        const charLength = utf8Length(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (length + charLength > limit) {
+            parts.push(current);
+            current = '';
+            length = 0;
+        }
+        current += char;
+        length += charLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatICSDate(date, { utc = false } = {}) {
+    const pad = (n) => String(n).padStart(2, '0');
+    if (utc) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+        + `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+/**
+ * Generates an iCalendar (.ics) file with one event per item. Times are
+ * written in the visitor's local time and every event has a reminder alarm.
+ * @param {Array} events - Events ({ uid, start, end, summary, description, url })
+ * @param {Object} options - { calendarName }
+ * @returns {string} iCalendar formatted string
+ */
+export function generateICS(events, { calendarName = 'NSW SGAR Tracker' } = {}) {
+    const stamp = formatICSDate(new Date(), { utc: true });
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//NSW SGAR Tracker//Follow-up reminders//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(calendarName)}`
+    ];
+
+    events.forEach(event => {
+        const start = new Date(event.start);
+        const end = event.end ? new Date(event.end) : new Date(start.getTime() + 30 * 60 * 1000);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatICSDate(start)}`,
+            `DTEND:${formatICSDate(end)}`,
+            `SUMMARY:${escapeICSText(event.summary)}`,
+            `DESCRIPTION:${escapeICSText(event.description)}`
+        );
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeICSText(event.summary)}`,
+            'TRIGGER:-PT0M',
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
 /**
  * Downloads data as file
  * @param {string} content - File content
@@ -441,6 +1203,21 @@ export function memoize(func, keyGenerator) {
     };
 }
 
+/**
+ * Waits until the browser is idle, so heavy work doesn't hold up rendering
+ * @param {number} timeout - Longest wait in milliseconds before running anyway
+ * @returns {Promise<void>}
+ */
+export function whenIdle(timeout = 2000) {
+    return new Promise(resolve => {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(() => resolve(), { timeout });
+        } else {
+            setTimeout(resolve, 0);
+        }
+    });
+}
+
 /**
  * Batches function calls for performance
  * @param {Function} func - Function to batch
@@ -738,35 +1515,64 @@ export async function retryWithBackoff(func, maxRetries = 3, baseDelay = 1000) {
 /**
  * Transforms raw council data to application format
  * @param {Object} rawData - Raw council data from JSON
+ * @param {Object} taxonomy - Region taxonomy from data/regions.json (optional)
  * @returns {Array} Transformed council array
  */
-export function transformCouncilData(rawData) {
+export function transformCouncilData(rawData, taxonomy = null) {
     if (!rawData || typeof rawData !== 'object') {
         return [];
     }
     
-    return Object.entries(rawData).map(([name, data]) => ({
-        name: titleCase(name),
-        status: data.sgars || 'Unknown',
-        notes: data.notes || '',
-        contactEmail: data.email || '',
-        region: data.region || 'Other',
-        lastUpdated: data.lastUpdated || new Date().toISOString().split('T')[0]
-    })).filter(council => council.name); // Remove entries without names
+    return Object.entries(rawData).map(([name, data]) => {
+        const regions = getCouncilRegions(name, taxonomy);
+        
+        return {
+            name: titleCase(name),
+            lgaCode: data.lgaCode || null,
+            status: getCurrentStatus(data.history),
+            notes: data.notes || '',
+            contactEmail: data.email || '',
+            regions,
+            region: regions.join(', '),
+            history: sortStatusHistory(data.history),
+            sources: data.sources || [],
+            products: data.products || [],
+            ingredients: getCouncilIngredients(data.products),
+            phaseOutBy: data.phaseOutBy || null,
+            lastUpdated: getLastStatusChange(data.history) || new Date().toISOString().split('T')[0]
+        };
+    }).filter(council => council.name); // Remove entries without names
 }
 
 /**
- * Groups councils by region
+ * Looks up the regions a council belongs to in a region taxonomy
+ * @param {string} councilName - Council name, in any case
+ * @param {Object} taxonomy - Taxonomy from data/regions.json ({ regions, otherLabel })
+ * @returns {Array<string>} Region names. A council can be in several regions
+ *   (e.g. electorates); one not listed anywhere gets the taxonomy's otherLabel, or 'Other'
+ */
+export function getCouncilRegions(councilName, taxonomy) {
+    const upperName = String(councilName || '').toUpperCase();
+    const regions = Object.entries((taxonomy && taxonomy.regions) || {})
+        .filter(([, councils]) => councils.includes(upperName))
+        .map(([region]) => region);
+    return regions.length > 0 ? regions : [(taxonomy && taxonomy.otherLabel) || 'Other'];
+}
+
+/**
+ * Groups councils by region. Councils in several regions are added to each.
  * @param {Array} councils - Array of council objects
  * @returns {Object} Object with regions as keys and council arrays as values
  */
 export function groupCouncilsByRegion(councils) {
     return councils.reduce((groups, council) => {
-        const region = council.region || 'Other';
-        if (!groups[region]) {
-            groups[region] = [];
-        }
-        groups[region].push(council);
+        const regions = council.regions || [council.region || 'Other'];
+        regions.forEach(region => {
+            if (!groups[region]) {
+                groups[region] = [];
+            }
+            groups[region].push(council);
+        });
         return groups;
     }, {});
 }
@@ -787,71 +1593,265 @@ export function groupCouncilsByStatus(councils) {
     }, {});
 }
 
+/**
+ * Checks a council against the tracker's filters. The values selected within
+ * one filter are alternatives (OR) and the filters combine with AND, so
+ * { status: ['Unknown', 'Yes'], region: ['Hunter'] } means "Unknown or Yes,
+ * in Hunter". With regionMode 'all' a council must be in every selected
+ * region, which only matters for taxonomies where regions overlap.
+ * @param {Object} council - Council object
+ * @param {Object} filters - { status, region, regionMode, ingredient, search, contact }
+ * @param {Object} options - { hasContacted(name) for the contact filter,
+ *   matchesSearch(council) to use a search index instead of a plain text match,
+ *   ignore: filter name to skip }
+ * @returns {boolean} Whether the council matches
+ */
+export function councilMatchesFilters(council, filters = {}, { hasContacted = null, matchesSearch = null, ignore = null } = {}) {
+    // Status filter
+    if (ignore !== 'status' && filters.status && filters.status.length > 0) {
+        if (!filters.status.includes(council.status)) {
+            return false;
+        }
+    }
+    
+    // Region filter
+    if (ignore !== 'region' && filters.region && filters.region.length > 0) {
+        const regions = council.regions || [council.region];
+        const matches = filters.regionMode === 'all'
+            ? filters.region.every(region => regions.includes(region))
+            : filters.region.some(region => regions.includes(region));
+        if (!matches) {
+            return false;
+        }
+    }
+    
+    // Active ingredient filter
+    if (ignore !== 'ingredient' && filters.ingredient && filters.ingredient.length > 0) {
+        const ingredients = (council.ingredients || []).map(i => i.name);
+        if (!filters.ingredient.some(name => ingredients.includes(name))) {
+            return false;
+        }
+    }
+    
+    // Contacted filter ('contacted' or 'not-contacted'), from the local action log
+    if (ignore !== 'contact' && filters.contact && hasContacted) {
+        if ((filters.contact === 'contacted') !== hasContacted(council.name)) {
+            return false;
+        }
+    }
+    
+    // Search filter
+    if (ignore !== 'search' && filters.search && matchesSearch) {
+        if (!matchesSearch(council)) {
+            return false;
+        }
+    } else if (ignore !== 'search' && filters.search) {
+        const searchTerm = filters.search.toLowerCase();
+        const searchableText = [
+            council.name,
+            council.region,
+            council.notes,
+            council.contactEmail,
+            formatCouncilStatus(council.status).text
+        ].join(' ').toLowerCase();
+        
+        if (!searchableText.includes(searchTerm)) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
 /**
  * Filters councils based on criteria
  * @param {Array} councils - Array of council objects
- * @param {Object} criteria - Filter criteria
+ * @param {Object} criteria - Filter criteria (see councilMatchesFilters)
+ * @param {Object} options - Passed to councilMatchesFilters
  * @returns {Array} Filtered councils
  */
-export function filterCouncils(councils, criteria = {}) {
-    return councils.filter(council => {
-        // Status filter
-        if (criteria.status && criteria.status.length > 0) {
-            if (!criteria.status.includes(council.status)) {
-                return false;
-            }
+export function filterCouncils(councils, criteria = {}, options = {}) {
+    return councils.filter(council => councilMatchesFilters(council, criteria, options));
+}
+
+/**
+ * Counts how many councils each option of a filter would show, given the
+ * other active filters (faceted search)
+ * @param {Array} councils - Array of council objects
+ * @param {Object} filters - Current filters
+ * @param {string} facet - 'status' or 'region'
+ * @param {Object} options - Passed to councilMatchesFilters
+ * @returns {Object} Option value to number of councils
+ */
+export function countFilterOptions(councils, filters, facet, options = {}) {
+    const counts = {};
+    const selected = filters[facet] || [];
+    // In 'all' mode an extra region narrows the regions already chosen
+    const mustInclude = facet === 'region' && filters.regionMode === 'all' ? selected : [];
+    
+    councils
+        .filter(council => councilMatchesFilters(council, filters, { ...options, ignore: facet }))
+        .forEach(council => {
+            const values = facet === 'region' ? (council.regions || [council.region]) : [council[facet]];
+            if (!mustInclude.every(value => values.includes(value))) return;
+            
+            values.forEach(value => {
+                counts[value] = (counts[value] || 0) + 1;
+            });
+        });
+    
+    return counts;
+}
+
+/**
+ * Sort value for a council. Missing values are returned as null.
+ * @param {Object} council - Council object
+ * @param {string} key - One of CONSTANTS.COUNCIL_SORT_KEYS, or any council field
+ * @param {Object} options - { getLastContact(council) => ISO date or null, now }
+ * @returns {string|number|null} Comparable value
+ */
+function getCouncilSortValue(council, key, { getLastContact = null, now = new Date() } = {}) {
+    switch (key) {
+        case 'status': {
+            // SGAR_STATUSES runs from most to least SGAR use. Unknown has no place
+            // in that order, so it sorts last whichever way the list runs.
+            if (council.status === 'Unknown') return null;
+            const index = CONSTANTS.SGAR_STATUSES.indexOf(council.status);
+            return index === -1 ? null : index;
         }
-        
-        // Region filter
-        if (criteria.region && criteria.region.length > 0) {
-            if (!criteria.region.includes(council.region)) {
-                return false;
-            }
+        case 'sgarIngredients':
+            return (council.ingredients || []).filter(ingredient => ingredient.class === 'SGAR').length;
+        case 'daysSinceContact': {
+            const date = getLastContact ? getLastContact(council) : null;
+            // Councils never written to have waited the longest
+            if (!date) return Infinity;
+            return Math.floor((now - new Date(date)) / (1000 * 60 * 60 * 24));
         }
-        
-        // Search filter
-        if (criteria.search) {
-            const searchTerm = criteria.search.toLowerCase();
-            const searchableText = [
-                council.name,
-                council.region,
-                council.notes,
-                council.contactEmail
-            ].join(' ').toLowerCase();
-            
-            if (!searchableText.includes(searchTerm)) {
-                return false;
-            }
+        default: {
+            const value = council[key];
+            if (value === undefined || value === null || value === '') return null;
+            return typeof value === 'string' ? value.toLowerCase() : value;
         }
-        
-        return true;
-    });
+    }
 }
 
 /**
- * Sorts councils by specified criteria
+ * Sorts councils by one or more keys. Councils missing a value go last
+ * whichever the direction, and ties fall back to the council name.
  * @param {Array} councils - Array of council objects
- * @param {string} sortBy - Field to sort by
- * @param {string} direction - Sort direction ('asc' or 'desc')
+ * @param {string|Array} sortBy - Field to sort by, or a list of { key, direction }
+ *   where key is one of CONSTANTS.COUNCIL_SORT_KEYS or any council field
+ * @param {string} direction - Sort direction ('asc' or 'desc') when sortBy is a field
+ * @param {Object} options - { getLastContact(council) } for the 'daysSinceContact' key
  * @returns {Array} Sorted councils
  */
-export function sortCouncils(councils, sortBy = 'name', direction = 'asc') {
-    return [...councils].sort((a, b) => {
-        let valueA = a[sortBy] || '';
-        let valueB = b[sortBy] || '';
-        
-        // Handle different data types
-        if (typeof valueA === 'string') {
-            valueA = valueA.toLowerCase();
-            valueB = valueB.toLowerCase();
+export function sortCouncils(councils, sortBy = 'name', direction = 'asc', options = {}) {
+    const sortKeys = Array.isArray(sortBy) ? sortBy : [{ key: sortBy, direction }];
+    const context = { now: new Date(), ...options };
+    
+    // Compute each value once rather than on every comparison
+    const rows = councils.map(council => ({
+        council,
+        values: sortKeys.map(({ key }) => getCouncilSortValue(council, key, context))
+    }));
+    
+    const compare = (valueA, valueB) => {
+        if (typeof valueA === 'string' && typeof valueB === 'string') {
+            return valueA.localeCompare(valueB);
+        }
+        if (valueA < valueB) return -1;
+        if (valueA > valueB) return 1;
+        return 0;
+    };
+    
+    return rows.sort((a, b) => {
+        for (let i = 0; i < sortKeys.length; i++) {
+            const valueA = a.values[i];
+            const valueB = b.values[i];
+            
+            if (valueA === null || valueB === null) {
+                if (valueA !== valueB) return valueA === null ? 1 : -1;
+                continue;
+            }
+            
+            const result = compare(valueA, valueB);
+            if (result !== 0) {
+                return sortKeys[i].direction === 'desc' ? -result : result;
+            }
         }
+        return compare(String(a.council.name || ''), String(b.council.name || ''));
+    }).map(row => row.council);
+}
+
+/**
+ * Finds councils matching a locality, postcode or council name query
+ * Results are ranked exact match first, then prefix, then word-prefix matches,
+ * then near misses within a typo or two ("Bondi Junctoin")
+ * @param {string} query - Text typed by the user
+ * @param {Array} councils - Array of council objects with lgaCode
+ * @param {Array} localities - Locality index entries ({ name, postcode, lgaCode })
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Results ({ type, label, detail, council })
+ */
+export function findCouncilMatches(query, councils, localities = [], limit = 8) {
+    const term = (query || '').trim().toUpperCase();
+    if (!term) return [];
+    
+    const councilsByCode = new Map(councils.map(council => [council.lgaCode, council]));
+    const isPostcode = /^\d{1,4}$/.test(term);
+    // Same typo allowance as the council search index
+    const typos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    
+    const rank = (text) => {
+        const value = text.toUpperCase();
+        if (value === term) return 0;
+        if (value.startsWith(term)) return 1;
+        if (value.split(/[\s-]+/).some(word => word.startsWith(term))) return 2;
+        // Compare against the start of the name too, so a half-typed name can have a typo
+        if (typos > 0 && (levenshteinDistance(value, term, typos) <= typos
+            || levenshteinDistance(value.slice(0, term.length), term, typos) <= typos)) return 3;
+        return -1;
+    };
+    
+    const results = [];
+    
+    localities.forEach(locality => {
+        const council = councilsByCode.get(locality.lgaCode);
+        if (!council) return;
         
-        let result = 0;
-        if (valueA < valueB) result = -1;
-        else if (valueA > valueB) result = 1;
+        const score = isPostcode
+            ? (locality.postcode === term ? 0 : locality.postcode.startsWith(term) ? 1 : -1)
+            : rank(locality.name);
+        if (score === -1) return;
         
-        return direction === 'desc' ? -result : result;
+        results.push({
+            type: 'locality',
+            label: `${locality.name} ${locality.postcode}`,
+            detail: `${council.name} Council`,
+            council,
+            score
+        });
     });
+    
+    if (!isPostcode) {
+        councils.forEach(council => {
+            const score = rank(council.name);
+            if (score === -1) return;
+            
+            results.push({
+                type: 'council',
+                label: `${council.name} Council`,
+                detail: council.region,
+                council,
+                score
+            });
+        });
+    }
+    
+    return results
+        .sort((a, b) => a.score - b.score || a.label.localeCompare(b.label))
+        .slice(0, limit)
+        .map(({ score, ...result }) => result);
 }
 
 /**
@@ -867,6 +1867,10 @@ export function calculateCouncilStats(councils) {
     return {
         total,
         usingSgars: byStatus['Yes']?.length || 0,
+        contractorOnly: byStatus['Contractor']?.length || 0,
+        partialUse: byStatus['Partial']?.length || 0,
+        committed: byStatus['Committed']?.length || 0,
+        transitioning: byStatus['Transitioning']?.length || 0,
         sgarFree: byStatus['No']?.length || 0,
         unknown: byStatus['Unknown']?.length || 0,
         regions: Object.keys(byRegion).length,
@@ -874,6 +1878,10 @@ export function calculateCouncilStats(councils) {
             region,
             total: regionCouncils.length,
             usingSgars: regionCouncils.filter(c => c.status === 'Yes').length,
+            contractorOnly: regionCouncils.filter(c => c.status === 'Contractor').length,
+            partialUse: regionCouncils.filter(c => c.status === 'Partial').length,
+            committed: regionCouncils.filter(c => c.status === 'Committed').length,
+            transitioning: regionCouncils.filter(c => c.status === 'Transitioning').length,
             sgarFree: regionCouncils.filter(c => c.status === 'No').length,
             unknown: regionCouncils.filter(c => c.status === 'Unknown').length
         }))
@@ -888,12 +1896,37 @@ export function calculateCouncilStats(councils) {
  * Common constants used across the application
  */
 export const CONSTANTS = {
-    SGAR_STATUSES: ['Yes', 'No', 'Unknown'],
-    NSW_REGIONS: [
-        'Hunter', 'Illawarra', 'Metro North', 'Metro South', 'Metro West',
-        'Mid North Coast', 'North Coast', 'Northern Inland', 'Central West',
-        'Orana', 'South East', 'South West'
-    ],
+    SGAR_STATUSES: ['Yes', 'Contractor', 'Partial', 'Committed', 'Transitioning', 'No', 'Unknown'],
+    RODENTICIDE_CLASSES: {
+        'SGAR': { label: 'Second generation anticoagulant', shortLabel: 'SGAR', class: 'danger' },
+        'FGAR': { label: 'First generation anticoagulant', shortLabel: 'FGAR', class: 'warning' },
+        'non-anticoagulant': { label: 'Non-anticoagulant', shortLabel: 'Non-anticoagulant', class: 'success' },
+        'unknown': { label: 'Unclassified', shortLabel: 'Unclassified', class: 'neutral' }
+    },
+    RODENTICIDE_INGREDIENTS: {
+        'brodifacoum': 'SGAR',
+        'bromadiolone': 'SGAR',
+        'difenacoum': 'SGAR',
+        'difethialone': 'SGAR',
+        'flocoumafen': 'SGAR',
+        'chlorophacinone': 'FGAR',
+        'coumatetralyl': 'FGAR',
+        'diphacinone': 'FGAR',
+        'pindone': 'FGAR',
+        'warfarin': 'FGAR',
+        'bromethalin': 'non-anticoagulant',
+        'cholecalciferol': 'non-anticoagulant',
+        'zinc phosphide': 'non-anticoagulant'
+    },
+    // Keys sortCouncils understands beyond plain council fields
+    COUNCIL_SORT_KEYS: ['name', 'status', 'region', 'lastUpdated', 'daysSinceContact', 'sgarIngredients'],
+    SOURCE_TYPES: {
+        'email': { label: 'Email reply', icon: '📧' },
+        'foi': { label: 'FOI response', icon: '📑' },
+        'minutes': { label: 'Council minutes', icon: '🏛️' },
+        'tender': { label: 'Tender document', icon: '📋' },
+        'web': { label: 'Web page', icon: '🌐' }
+    },
     LOCAL_STORAGE_KEYS: {
         USER_PREFERENCES: 'sgar_user_preferences',
         FILTER_STATE: 'sgar_filter_state',
@@ -923,8 +1956,23 @@ export const DEFAULT_CONFIG = {
 export default {
     // Data formatting and validation
     validateCouncilData,
+    validateStatusHistory,
+    validateSources,
+    validateProducts,
+    isValidLGACode,
+    normalizeLGACode,
+    isValidPartialDate,
+    sortStatusHistory,
+    getCurrentStatus,
+    getLastStatusChange,
     isValidEmail,
     formatCouncilStatus,
+    getStatusForFilterValue,
+    formatSourceType,
+    getSourceHref,
+    getIngredientClass,
+    getCouncilIngredients,
+    buildProductReference,
     formatNumber,
     formatPercentage,
     
@@ -933,16 +1981,35 @@ export default {
     slugify,
     truncateText,
     stripHtml,
+    escapeHtml,
+    hashString,
     highlightText,
+    normalizeSearchWord,
+    splitSearchWords,
+    levenshteinDistance,
+    parseSearchQuery,
+    highlightWords,
     escapeRegExp,
+    formatList,
+    pluralize,
+    diffLines,
+    
+    // Template rendering
+    renderTemplate,
+    parseLetterTemplate,
     
     // Date utilities
     formatDate,
+    formatPartialDate,
+    formatRecentDate,
+    getResponseDays,
     getRelativeTime,
     isRecentDate,
     
     // URL and export utilities
     generateCSV,
+    createCSV,
+    generateICS,
     downloadFile,
     generateShareableURL,
     parseURLParams,
@@ -951,6 +2018,7 @@ export default {
     throttle,
     debounce,
     memoize,
+    whenIdle,
     batchProcess,
     
     // Browser compatibility
@@ -971,10 +2039,14 @@ export default {
     
     // Data transformation
     transformCouncilData,
+    getCouncilRegions,
     groupCouncilsByRegion,
     groupCouncilsByStatus,
+    councilMatchesFilters,
     filterCouncils,
+    countFilterOptions,
     sortCouncils,
+    findCouncilMatches,
     calculateCouncilStats,
     
     // Constants
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Build the adjacency graph for the bundled NSW LGA boundaries
+ *
+ * Reads the boundary file named in data/boundaries/manifest.json, works out
+ * which LGAs share a border and writes the graph to
+ * data/boundaries/adjacency.json under the manifest's version. The map uses
+ * it instead of computing the graph in the browser, as long as the versions
+ * match. Run it after scripts/build-lga-boundaries.mjs.
+ *
+ * Usage:
+ *   node scripts/build-lga-adjacency.mjs [--tolerance 500]
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { buildAdjacencyGraph, DEFAULT_ADJACENCY_TOLERANCE } from '../assets/js/lga-adjacency.js';
+import { normalizeLGACode } from '../assets/js/utils.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BOUNDARY_DIR = path.join(ROOT, 'data', 'boundaries');
+const MANIFEST_PATH = path.join(BOUNDARY_DIR, 'manifest.json');
+const ADJACENCY_PATH = path.join(BOUNDARY_DIR, 'adjacency.json');
+
+// The map measures borders in Web Mercator (EPSG:3857) metres, so the
+// tolerance means the same here as in the browser
+const EARTH_RADIUS = 6378137;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function toWebMercator([lon, lat]) {
+    return [
+        EARTH_RADIUS * lon * Math.PI / 180,
+        EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))
+    ];
+}
+
+function getRings(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'Polygon':
+            return geometry.coordinates;
+        case 'MultiPolygon':
+            return geometry.coordinates.flat();
+        default:
+            return [];
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const manifest = JSON.parse(await readFile(MANIFEST_PATH, 'utf8'));
+    const tolerance = Number(args.tolerance ?? DEFAULT_ADJACENCY_TOLERANCE);
+
+    if (!manifest.file) {
+        throw new Error('data/boundaries/manifest.json names no boundary file; run scripts/build-lga-boundaries.mjs first');
+    }
+
+    console.log(`📂 Reading data/boundaries/${manifest.file}`);
+    const boundaries = JSON.parse(await readFile(path.join(BOUNDARY_DIR, manifest.file), 'utf8'));
+
+    const areas = (boundaries.features || [])
+        .map(feature => {
+            const code = normalizeLGACode((feature.properties || {}).lga_code);
+            const rings = getRings(feature.geometry).map(ring => ring.map(toWebMercator));
+            return code && rings.length > 0 ? { code, rings } : null;
+        })
+        .filter(Boolean);
+
+    if (areas.length === 0) {
+        throw new Error(`No LGA features with codes found in data/boundaries/${manifest.file}`);
+    }
+
+    const startTime = Date.now();
+    const graph = buildAdjacencyGraph(areas, tolerance);
+    const borders = Object.values(graph).reduce((total, codes) => total + codes.length, 0) / 2;
+
+    const output = {
+        version: manifest.version,
+        generated: new Date().toISOString().slice(0, 10),
+        tolerance,
+        graph
+    };
+    await writeFile(ADJACENCY_PATH, JSON.stringify(output, null, 4));
+
+    console.log(`✅ Wrote ${Object.keys(graph).length} LGAs and ${borders} shared borders to data/boundaries/adjacency.json (${Date.now() - startTime}ms)`);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
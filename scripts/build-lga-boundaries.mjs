@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Build the bundled NSW LGA boundary file
+ *
+ * Downloads (or reads) LGA boundary GeoJSON, keeps only NSW features and the
+ * properties the map needs, simplifies the polygons and writes the result to
+ * the file named in data/boundaries/manifest.json (nsw-lga-2021.geojson when
+ * it names none yet). The manifest's file, version, generation date and
+ * feature count are updated to match.
+ *
+ * Usage:
+ *   node scripts/build-lga-boundaries.mjs [--input path/to/lga.geojson]
+ *                                         [--version 2021.2]
+ *                                         [--tolerance 0.001] [--precision 4]
+ *
+ * Without --input the remote URL from the manifest is fetched. Run
+ * scripts/build-lga-adjacency.mjs afterwards so the neighbour graph matches.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BOUNDARY_DIR = path.join(ROOT, 'data', 'boundaries');
+const MANIFEST_PATH = path.join(BOUNDARY_DIR, 'manifest.json');
+
+// Used until the manifest names a file of its own
+const DEFAULT_FILE = 'nsw-lga-2021.geojson';
+
+// Property names seen across ABS, Geoscape and OpenDataSoft LGA exports
+const NAME_PROPERTIES = ['lga_name', 'lga_name_2021', 'LGA_NAME', 'LGA_NAME21', 'LGA_NAME22', 'lga_nam11', 'lga_name16', 'name', 'NAME'];
+const CODE_PROPERTIES = ['lga_code', 'lga_code_2021', 'LGA_CODE', 'LGA_CODE21', 'LGA_CODE22'];
+const STATE_PROPERTIES = ['ste_name', 'ste_name_2021', 'STE_NAME', 'STE_NAME21', 'STATE_NAME'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function firstProperty(properties, names) {
+    for (const name of names) {
+        const value = properties[name];
+        if (value !== undefined && value !== null && value !== '') {
+            // OpenDataSoft wraps some values in single-element arrays
+            return Array.isArray(value) ? value[0] : value;
+        }
+    }
+    return null;
+}
+
+// Perpendicular distance from a point to a segment, in coordinate units
+function segmentDistance(point, start, end) {
+    const [x, y] = point;
+    const [x1, y1] = start;
+    const [x2, y2] = end;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+
+    if (dx === 0 && dy === 0) {
+        return Math.hypot(x - x1, y - y1);
+    }
+
+    const t = Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+// Iterative Douglas-Peucker simplification
+function simplifyLine(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = segmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+function simplifyRing(ring, tolerance, precision) {
+    const factor = 10 ** precision;
+    const rounded = ring.map(([x, y]) => [Math.round(x * factor) / factor, Math.round(y * factor) / factor]);
+    const simplified = simplifyLine(rounded, tolerance);
+
+    // A valid linear ring needs at least four positions; keep the rounded ring otherwise
+    return simplified.length >= 4 ? simplified : rounded;
+}
+
+function simplifyGeometry(geometry, tolerance, precision) {
+    if (!geometry) return null;
+
+    switch (geometry.type) {
+        case 'Polygon':
+            return {
+                type: 'Polygon',
+                coordinates: geometry.coordinates.map(ring => simplifyRing(ring, tolerance, precision))
+            };
+        case 'MultiPolygon':
+            return {
+                type: 'MultiPolygon',
+                coordinates: geometry.coordinates.map(polygon =>
+                    polygon.map(ring => simplifyRing(ring, tolerance, precision))
+                )
+            };
+        default:
+            return null;
+    }
+}
+
+async function loadSource(args, manifest) {
+    if (args.input) {
+        console.log(`📂 Reading ${args.input}`);
+        return JSON.parse(await readFile(path.resolve(args.input), 'utf8'));
+    }
+
+    console.log(`🌐 Downloading ${manifest.remote.url}`);
+    const response = await fetch(manifest.remote.url);
+    if (!response.ok) {
+        throw new Error(`Failed to download boundaries: ${response.status}`);
+    }
+    return response.json();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const manifest = JSON.parse(await readFile(MANIFEST_PATH, 'utf8'));
+    const tolerance = Number(args.tolerance ?? manifest.simplification.tolerance);
+    const precision = Number(args.precision ?? manifest.simplification.precision);
+
+    const source = await loadSource(args, manifest);
+    const features = [];
+
+    for (const feature of source.features || []) {
+        const properties = feature.properties || {};
+        const state = firstProperty(properties, STATE_PROPERTIES);
+        if (state && state !== 'New South Wales') continue;
+
+        // OpenDataSoft puts a centroid in geometry and the polygon in geo_shape
+        const geometry = simplifyGeometry(properties.geo_shape || feature.geometry, tolerance, precision);
+        if (!geometry) continue;
+
+        features.push({
+            type: 'Feature',
+            properties: {
+                lga_code: firstProperty(properties, CODE_PROPERTIES),
+                lga_name: firstProperty(properties, NAME_PROPERTIES)
+            },
+            geometry
+        });
+    }
+
+    if (features.length === 0) {
+        throw new Error('No NSW LGA features found in source data');
+    }
+
+    features.sort((a, b) => String(a.properties.lga_name).localeCompare(String(b.properties.lga_name)));
+
+    const output = JSON.stringify({ type: 'FeatureCollection', features });
+    manifest.file = manifest.file || DEFAULT_FILE;
+    await writeFile(path.join(BOUNDARY_DIR, manifest.file), output);
+
+    manifest.version = args.version || manifest.version;
+    manifest.generated = new Date().toISOString().slice(0, 10);
+    manifest.featureCount = features.length;
+    manifest.simplification = { tolerance, precision };
+    await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 4));
+
+    console.log(`✅ Wrote ${features.length} features to data/boundaries/${manifest.file} (${(output.length / 1024).toFixed(0)} KB)`);
+    console.log('➡️  Now run node scripts/build-lga-adjacency.mjs to rebuild the neighbour graph');
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
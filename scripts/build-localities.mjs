@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Build the bundled locality and postcode index
+ *
+ * Reads a CSV of localities with their postcode and ABS LGA code (for example
+ * the ABS Suburbs and Localities to LGA correspondence joined to a postcode
+ * list) and writes data/localities.json for the "Find my council" search.
+ *
+ * Usage:
+ *   node scripts/build-localities.mjs --input localities.csv [--version 2025.2]
+ *
+ * Recognised columns (first match wins):
+ *   name:     locality, name, SAL_NAME_2021, SAL_NAME21
+ *   postcode: postcode, POA_CODE_2021, POA_CODE21
+ *   LGA code: lga_code, LGA_CODE_2021, LGA_CODE21
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { parseCSV, findColumn } from './lib/csv.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_PATH = path.join(ROOT, 'data', 'localities.json');
+const COUNCILS_PATH = path.join(ROOT, 'data', 'councils.json');
+
+const NAME_COLUMNS = ['locality', 'name', 'SAL_NAME_2021', 'SAL_NAME21'];
+const POSTCODE_COLUMNS = ['postcode', 'POA_CODE_2021', 'POA_CODE21'];
+const CODE_COLUMNS = ['lga_code', 'LGA_CODE_2021', 'LGA_CODE21'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+// ABS disambiguates duplicate names, e.g. "Richmond (NSW)" or "Kingswood (Penrith - NSW)"
+function cleanLocalityName(name) {
+    return name.replace(/\s*\([^)]*NSW\)$/, '').trim();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.input) {
+        throw new Error('Missing --input path to a localities CSV');
+    }
+
+    const councils = JSON.parse(await readFile(COUNCILS_PATH, 'utf8'));
+    const knownCodes = new Set(Object.values(councils).map(council => council.lgaCode));
+
+    const [headers, ...rows] = parseCSV(await readFile(path.resolve(args.input), 'utf8'));
+    const nameIndex = findColumn(headers, NAME_COLUMNS);
+    const postcodeIndex = findColumn(headers, POSTCODE_COLUMNS);
+    const codeIndex = findColumn(headers, CODE_COLUMNS);
+
+    if (nameIndex === -1 || postcodeIndex === -1 || codeIndex === -1) {
+        throw new Error(`CSV needs locality, postcode and LGA code columns. Found: ${headers.join(', ')}`);
+    }
+
+    const seen = new Set();
+    const unknownCodes = new Set();
+    const localities = [];
+
+    for (const row of rows) {
+        const name = cleanLocalityName(row[nameIndex] || '');
+        const postcode = (row[postcodeIndex] || '').replace(/\D/g, '').padStart(4, '0');
+        const lgaCode = (row[codeIndex] || '').replace(/\D/g, '');
+
+        if (!name || postcode === '0000' || !lgaCode) continue;
+        if (!knownCodes.has(lgaCode)) {
+            unknownCodes.add(lgaCode);
+            continue;
+        }
+
+        const key = `${name.toUpperCase()}|${postcode}|${lgaCode}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        localities.push({ name, postcode, lgaCode });
+    }
+
+    localities.sort((a, b) => a.name.localeCompare(b.name) || a.postcode.localeCompare(b.postcode));
+
+    const previous = JSON.parse(await readFile(OUTPUT_PATH, 'utf8').catch(() => '{}'));
+    const output = {
+        version: args.version || previous.version || '1',
+        generated: new Date().toISOString().slice(0, 10),
+        source: `Built from ${path.basename(args.input)} with scripts/build-localities.mjs`,
+        localities
+    };
+
+    await writeFile(OUTPUT_PATH, JSON.stringify(output, null, 4));
+
+    if (unknownCodes.size > 0) {
+        console.warn(`⚠️ Skipped rows for ${unknownCodes.size} LGA codes not in councils.json: ${[...unknownCodes].sort().join(', ')}`);
+    }
+    console.log(`✅ Wrote ${localities.length} localities to data/localities.json`);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
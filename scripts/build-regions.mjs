@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Build a region taxonomy in data/regions.json from a correspondence CSV
+ *
+ * Reads rows of ABS LGA code and region name (for example the ABS LGA to
+ * State Electoral Division correspondence) and replaces the regions of one
+ * taxonomy. A council that overlaps several regions is listed in each, so
+ * slivers below --min-ratio of the council's area or population are dropped.
+ *
+ * Usage:
+ *   node scripts/build-regions.mjs --taxonomy electorates --input lga_sed.csv
+ *       [--label "State electorates"] [--column SED_NAME_2021] [--min-ratio 0.01]
+ *
+ * --label is only needed when the taxonomy isn't in regions.json yet.
+ *
+ * Recognised columns (first match wins):
+ *   LGA code: lga_code, LGA_CODE_2021, LGA_CODE21
+ *   region:   --column, region, SED_NAME_2021, SED_NAME21
+ *   ratio:    ratio, RATIO_FROM_TO, RATIO (optional)
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { parseCSV, findColumn } from './lib/csv.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const REGIONS_PATH = path.join(ROOT, 'data', 'regions.json');
+const COUNCILS_PATH = path.join(ROOT, 'data', 'councils.json');
+
+const CODE_COLUMNS = ['lga_code', 'LGA_CODE_2021', 'LGA_CODE21'];
+const REGION_COLUMNS = ['region', 'SED_NAME_2021', 'SED_NAME21'];
+const RATIO_COLUMNS = ['ratio', 'RATIO_FROM_TO', 'RATIO'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.taxonomy || !args.input) {
+        throw new Error('Usage: --taxonomy <id> --input <correspondence CSV>');
+    }
+    const minRatio = args['min-ratio'] !== undefined ? Number(args['min-ratio']) : 0.01;
+
+    const councils = JSON.parse(await readFile(COUNCILS_PATH, 'utf8'));
+    const councilsByCode = new Map(Object.entries(councils).map(([name, council]) => [council.lgaCode, name]));
+
+    const [headers, ...rows] = parseCSV(await readFile(path.resolve(args.input), 'utf8'));
+    const codeIndex = findColumn(headers, CODE_COLUMNS);
+    const regionIndex = findColumn(headers, args.column ? [args.column] : REGION_COLUMNS);
+    const ratioIndex = findColumn(headers, RATIO_COLUMNS);
+
+    if (codeIndex === -1 || regionIndex === -1) {
+        throw new Error(`CSV needs LGA code and region columns. Found: ${headers.join(', ')}`);
+    }
+
+    const unknownCodes = new Set();
+    const regions = {};
+
+    for (const row of rows) {
+        const lgaCode = (row[codeIndex] || '').replace(/\D/g, '');
+        const region = (row[regionIndex] || '').trim();
+        const ratio = ratioIndex === -1 ? 1 : Number(row[ratioIndex]);
+
+        if (!lgaCode || !region || ratio < minRatio) continue;
+        if (!councilsByCode.has(lgaCode)) {
+            unknownCodes.add(lgaCode);
+            continue;
+        }
+
+        regions[region] = regions[region] || new Set();
+        regions[region].add(councilsByCode.get(lgaCode));
+    }
+
+    const sorted = Object.fromEntries(Object.keys(regions)
+        .sort((a, b) => a.localeCompare(b))
+        .map(region => [region, [...regions[region]].sort()]));
+
+    const data = JSON.parse(await readFile(REGIONS_PATH, 'utf8'));
+    let taxonomy = data.taxonomies.find(t => t.id === args.taxonomy);
+    if (!taxonomy) {
+        if (!args.label) {
+            throw new Error(`"${args.taxonomy}" is not in data/regions.json yet; add --label to create it`);
+        }
+        taxonomy = { id: args.taxonomy, label: args.label, regions: {} };
+        data.taxonomies.push(taxonomy);
+    }
+    taxonomy.source = `Built from ${path.basename(args.input)} with scripts/build-regions.mjs`;
+    taxonomy.regions = sorted;
+
+    await writeFile(REGIONS_PATH, JSON.stringify(data, null, 4));
+
+    const listed = new Set(Object.values(sorted).flat());
+    const missing = Object.keys(councils).filter(name => !listed.has(name));
+
+    if (unknownCodes.size > 0) {
+        console.warn(`⚠️ Skipped rows for ${unknownCodes.size} LGA codes not in councils.json: ${[...unknownCodes].sort().join(', ')}`);
+    }
+    if (missing.length > 0) {
+        console.warn(`⚠️ ${missing.length} councils are not in any region: ${missing.join(', ')}`);
+    }
+    console.log(`✅ Wrote ${Object.keys(sorted).length} regions to the "${taxonomy.id}" taxonomy in data/regions.json`);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * CSV helpers shared by the data build scripts
+ */
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF line endings
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Index of the first header matching one of the candidates (case-insensitive), or -1
+export function findColumn(headers, candidates) {
+    const lower = headers.map(h => h.trim().toLowerCase());
+    for (const candidate of candidates) {
+        const index = lower.indexOf(candidate.toLowerCase());
+        if (index !== -1) return index;
+    }
+    return -1;
+}
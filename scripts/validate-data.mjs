@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * Validate the council data files before sending a pull request
+ *
+ * Checks data/councils.json, data/council_name_mapping.json and
+ * data/regions.json against the JSON Schemas in schemas/, then runs the same
+ * rules the site uses (validateCouncilData) plus checks that span the files:
+ * every council has a mapping entry with the same LGA code, region
+ * taxonomies only list known councils, no two councils share an LGA code
+ * or email address, and products named in the notes of councils still
+ * using SGARs are listed in their products.
+ *
+ * Usage:
+ *   node scripts/validate-data.mjs [--councils path] [--mapping path] [--regions path]
+ *
+ * Exits with status 1 and a list of problems when anything fails.
+ */
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+    validateCouncilData,
+    getCurrentStatus,
+    formatCouncilStatus,
+    escapeRegExp,
+    CONSTANTS
+} from '../assets/js/utils.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const COUNCILS_PATH = path.join(ROOT, 'data', 'councils.json');
+const MAPPING_PATH = path.join(ROOT, 'data', 'council_name_mapping.json');
+const REGIONS_PATH = path.join(ROOT, 'data', 'regions.json');
+const COUNCILS_SCHEMA_PATH = path.join(ROOT, 'schemas', 'councils.v1.schema.json');
+const MAPPING_SCHEMA_PATH = path.join(ROOT, 'schemas', 'council-name-mapping.v1.schema.json');
+const REGIONS_SCHEMA_PATH = path.join(ROOT, 'schemas', 'regions.v1.schema.json');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+// JSON.parse only reports a character position; turn it into a line and column
+async function readJSON(filePath) {
+    const text = await readFile(filePath, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+        if (Number.isNaN(position)) {
+            throw new Error(`${path.relative(process.cwd(), filePath)} is not valid JSON: ${error.message}`);
+        }
+        const before = text.slice(0, position).split('\n');
+        throw new Error(
+            `${path.relative(process.cwd(), filePath)} is not valid JSON at line ${before.length}, column ${before[before.length - 1].length + 1}: ${error.message}` +
+            '\n   A trailing comma after the last item in an object or array is the usual cause.'
+        );
+    }
+}
+
+// -----------------------------------------------------------------------------
+// JSON Schema subset
+// Covers the keywords used in schemas/: type, enum, const, pattern, minLength,
+// minItems, minProperties, required, properties, additionalProperties,
+// propertyNames, items, anyOf and local $ref
+// -----------------------------------------------------------------------------
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref values are supported, got "${ref}"`);
+    }
+    return ref.slice(2).split('/').reduce((node, part) => node[part], root);
+}
+
+function validateSchema(value, schema, root, at = '') {
+    const label = at || '(root)';
+    const errors = [];
+
+    if (schema.$ref) {
+        errors.push(...validateSchema(value, resolveRef(root, schema.$ref), root, at));
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, root, at).length === 0)) {
+        // Report the closest option: the one with the fewest problems
+        const attempts = schema.anyOf.map(option => validateSchema(value, option, root, at));
+        errors.push(...attempts.sort((a, b) => a.length - b.length)[0]);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const actual = typeOf(value);
+        if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            return [...errors, `${label}: expected ${types.join(' or ')} but found ${actual}`];
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${label}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${label}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${label}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${label}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${label}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const keys = Object.keys(value);
+        const child = (key) => (at ? `${at}.${key}` : key);
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(`${label}: needs at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${label}: missing required field "${key}"`);
+        });
+
+        keys.forEach(key => {
+            if (schema.propertyNames) {
+                errors.push(...validateSchema(key, schema.propertyNames, root, `${label} key "${key}"`));
+            }
+
+            if (schema.properties && key in schema.properties) {
+                errors.push(...validateSchema(value[key], schema.properties[key], root, child(key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${label}: unexpected field "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, root, child(key)));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// The schema vocabularies must match the constants the site uses
+function checkSchemaVocabulary(schema) {
+    const errors = [];
+    const compare = (name, schemaValues, constantValues) => {
+        const missing = constantValues.filter(value => !schemaValues.includes(value));
+        const extra = schemaValues.filter(value => !constantValues.includes(value));
+        if (missing.length > 0 || extra.length > 0) {
+            errors.push(`schemas/councils.v1.schema.json: ${name} list is out of date with utils.js` +
+                `${missing.length ? ` (missing ${missing.join(', ')})` : ''}${extra.length ? ` (unknown ${extra.join(', ')})` : ''}`);
+        }
+    };
+
+    compare('status', schema.$defs.status.enum, CONSTANTS.SGAR_STATUSES);
+    compare('source type', schema.$defs.source.properties.type.enum, Object.keys(CONSTANTS.SOURCE_TYPES));
+    compare('ingredient', schema.$defs.product.properties.ingredients.items.enum, Object.keys(CONSTANTS.RODENTICIDE_INGREDIENTS));
+    return errors;
+}
+
+// -----------------------------------------------------------------------------
+// Checks across files
+// -----------------------------------------------------------------------------
+
+function findDuplicates(councils, getValue) {
+    const seen = new Map();
+    Object.entries(councils).forEach(([name, council]) => {
+        const value = getValue(council);
+        if (!value) return;
+        seen.set(value, [...(seen.get(value) || []), name]);
+    });
+    return [...seen.entries()].filter(([, names]) => names.length > 1);
+}
+
+// A council still using SGARs whose notes name a product, e.g. "Council uses
+// 'Ditrac'", should list it so it counts in the ingredient filter and stats
+function findUnlistedProducts(councils) {
+    const knownProducts = new Set();
+    Object.values(councils).forEach(council => {
+        ((council && council.products) || []).forEach(product => {
+            if (product.name) knownProducts.add(product.name);
+        });
+    });
+
+    const unlisted = [];
+    Object.entries(councils).forEach(([name, council]) => {
+        if (!council || !council.notes || !Array.isArray(council.history)) return;
+        if (!formatCouncilStatus(getCurrentStatus(council.history)).usesSgars) return;
+
+        const listed = (council.products || []).map(product => (product.name || '').toLowerCase());
+        knownProducts.forEach(product => {
+            const mentioned = new RegExp(`\\b${escapeRegExp(product)}\\b`, 'i').test(council.notes);
+            if (mentioned && !listed.some(listedName => listedName.includes(product.toLowerCase()))) {
+                unlisted.push([name, product]);
+            }
+        });
+    });
+    return unlisted;
+}
+
+function checkCouncils(councils, mapping, schemaInvalid) {
+    const problems = [];
+    const add = (name, message) => problems.push(`${name}: ${message}`);
+
+    Object.entries(councils).forEach(([name, council]) => {
+        // The site's rules repeat most schema errors, so they only run once the schema passes
+        if (!schemaInvalid.has(name)) {
+            validateCouncilData(council).errors.forEach(error => add(name, error));
+        }
+
+        const mapped = mapping[name];
+        if (!mapped) {
+            add(name, 'no entry in council_name_mapping.json');
+        } else if (council && mapped.lgaCode !== council.lgaCode) {
+            add(name, `lgaCode ${council.lgaCode} does not match ${mapped.lgaCode} in council_name_mapping.json`);
+        }
+    });
+
+    Object.keys(mapping)
+        .filter(name => !(name in councils))
+        .forEach(name => add(name, 'in council_name_mapping.json but not in councils.json'));
+
+    findUnlistedProducts(councils).forEach(([name, product]) => {
+        add(name, `notes mention "${product}" but it is not in products`);
+    });
+
+    findDuplicates(councils, council => council && council.lgaCode).forEach(([code, names]) => {
+        problems.push(`lgaCode ${code} is used by more than one council: ${names.join(', ')}`);
+    });
+
+    findDuplicates(councils, council => council && council.email && council.email.toLowerCase()).forEach(([email, names]) => {
+        problems.push(`email ${email} is used by more than one council: ${names.join(', ')}`);
+    });
+
+    return problems;
+}
+
+function checkRegions(regions, councils) {
+    const problems = [];
+    const taxonomies = Array.isArray(regions.taxonomies) ? regions.taxonomies : [];
+    const ids = taxonomies.map(taxonomy => taxonomy.id);
+
+    if (!ids.includes(regions.defaultTaxonomy)) {
+        problems.push(`defaultTaxonomy "${regions.defaultTaxonomy}" is not one of the taxonomies (${ids.join(', ')})`);
+    }
+
+    ids.filter((id, index) => ids.indexOf(id) !== index).forEach(id => {
+        problems.push(`taxonomy id "${id}" is used more than once`);
+    });
+
+    taxonomies.forEach(taxonomy => {
+        const add = (message) => problems.push(`${taxonomy.id}: ${message}`);
+        const entries = Object.entries(taxonomy.regions || {});
+        const listed = new Set();
+
+        // Taxonomies are allowed to be empty until they have been built
+        if (entries.length === 0) {
+            if (taxonomy.id === regions.defaultTaxonomy) add('the default taxonomy has no regions');
+            return;
+        }
+
+        entries.forEach(([region, names]) => {
+            names.forEach((name, index) => {
+                if (!(name in councils)) {
+                    add(`"${region}" lists ${name}, which is not in councils.json`);
+                } else if (names.indexOf(name) !== index) {
+                    add(`"${region}" lists ${name} more than once`);
+                }
+                listed.add(name);
+            });
+        });
+
+        // Without an otherLabel a missing council would silently show as "Other"
+        if (!taxonomy.otherLabel) {
+            Object.keys(councils)
+                .filter(name => !listed.has(name))
+                .forEach(name => add(`${name} is not in any region (list it, or give the taxonomy an otherLabel)`));
+        }
+
+        if (taxonomy.otherLabel && taxonomy.otherLabel in taxonomy.regions) {
+            add(`otherLabel "${taxonomy.otherLabel}" is also the name of a region`);
+        }
+    });
+
+    return problems;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const councilsPath = args.councils ? path.resolve(args.councils) : COUNCILS_PATH;
+    const mappingPath = args.mapping ? path.resolve(args.mapping) : MAPPING_PATH;
+    const regionsPath = args.regions ? path.resolve(args.regions) : REGIONS_PATH;
+
+    const [councilsSchema, mappingSchema, regionsSchema] = await Promise.all([
+        readJSON(COUNCILS_SCHEMA_PATH),
+        readJSON(MAPPING_SCHEMA_PATH),
+        readJSON(REGIONS_SCHEMA_PATH)
+    ]);
+    const councils = await readJSON(councilsPath);
+    const mapping = await readJSON(mappingPath);
+    const regions = await readJSON(regionsPath);
+    const regionsSchemaErrors = validateSchema(regions, regionsSchema, regionsSchema);
+
+    const schemaInvalid = new Set(Object.keys(councils).filter(name =>
+        validateSchema(councils[name], councilsSchema.$defs.council, councilsSchema).length > 0
+    ));
+
+    const sections = [
+        ['Schema vocabulary', checkSchemaVocabulary(councilsSchema)],
+        [`${path.basename(councilsPath)} (schema ${councilsSchema.version})`, validateSchema(councils, councilsSchema, councilsSchema)],
+        [`${path.basename(mappingPath)} (schema ${mappingSchema.version})`, validateSchema(mapping, mappingSchema, mappingSchema)],
+        [`${path.basename(regionsPath)} (schema ${regionsSchema.version})`, regionsSchemaErrors],
+        ['Council data rules', checkCouncils(councils, mapping, schemaInvalid)],
+        // Region rules assume the file's shape, so they wait for the schema to pass
+        ['Region taxonomies', regionsSchemaErrors.length === 0 ? checkRegions(regions, councils) : []]
+    ];
+
+    const total = sections.reduce((sum, [, errors]) => sum + errors.length, 0);
+    if (total === 0) {
+        console.log(`✅ ${Object.keys(councils).length} councils, ${Object.keys(mapping).length} mapping entries and ${regions.taxonomies.length} region taxonomies are valid`);
+        return;
+    }
+
+    sections.filter(([, errors]) => errors.length > 0).forEach(([title, errors]) => {
+        console.error(`\n❌ ${title}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+        errors.forEach(error => console.error(`   - ${error}`));
+    });
+    console.error(`\n${total} problem${total === 1 ? '' : 's'} found. Fix them and run this command again.`);
+    process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});